@@ -45,25 +45,208 @@
 
 String.prototype.format = function () {
     var args = arguments;
-    this.replace(/\{(\d+)\}/g, function (match, p1) {
-        var v1 = parseInt(p1) + 1;
-        return (v1 < args.length) ? args[v1] : p1;
+    return this.replace(/\{(\d+)\}/g, function (match, p1) {
+        var v1 = parseInt(p1, 10) - 1;
+        return (v1 < args.length) ? args[v1] : match;
     });
 };
 
-var Lexer = typeof(Lexer) != 'undefined' ? Lexer : function (rules) {
+/**
+ * A lexer for the language defined by a list of rules.
+ *
+ * @param rules [Array] - the rules of the language, as objects with a name,
+ *    a pattern and optionally a callback, a discard flag and a list of modes.
+ *    Patterns must not match the empty string.
+ *    A rule matching identifiers can also list keywords, either as an array
+ *    of words (each named after itself in upper case) or as a map from words
+ *    to token names. Tokens of the rule whose text is a keyword get the name
+ *    of the keyword instead; keywordsIgnoreCase makes the lookup ignore case.
+ *    A rule can hand part of the input to another lexer with embed, an
+ *    object with:
+ *       lexer [Lexer|Function] - the lexer for the embedded text, or a
+ *          function that is given the matches of the rule and returns one
+ *          (or null to leave the text to this lexer).
+ *       until [RegExp|String, optional] - the end of the embedded text. The
+ *          text from the end of the match up to the terminator (or the end of
+ *          the input) is embedded, and lexing resumes at the terminator.
+ *          Without it, the text of the match itself is embedded, and its
+ *          tokens take the place of the token of the rule.
+ *       language [String, optional] - the language tag of the embedded
+ *          tokens. Defaults to the language option of the embedded lexer.
+ *    The tokens of the embedded lexer follow the token of the rule, with
+ *    positions in the whole input. The errors and state of the embedded
+ *    lexer are left untouched.
+ *    A rule whose pattern opens a construct that can nest, like a block
+ *    comment, can give its closing delimiter as nest: {close: RegExp|String}.
+ *    Its tokens then run to the close that balances the opening, counting
+ *    the matches of the pattern and of close in between.
+ *    Rules matching brackets name the pair they belong to with opens or
+ *    closes (or both, for quotes that open and close alike). Their tokens get
+ *    a depth, the number of pairs around them, and the index of their
+ *    partner among the tokens, or null. Unbalanced delimiters are reported
+ *    at the end of the input.
+ * @param options [Object, optional] - settings for the lexer:
+ *    lookahead [int] - the number of characters that must follow a match
+ *       before feed() emits it, if a rule has a lookaround or a
+ *       backreference. Otherwise feed() holds a match back for as long as
+ *       matching may have looked at the end of the text fed so far.
+ *       Defaults to 1024.
+ *    onError [Function] - called with a Lexer.LexError whenever part of the
+ *       input does not match any rule.
+ *    strict [boolean] - throw the first Lexer.LexError instead of skipping
+ *       the unexpected characters. Defaults to false.
+ *    lineTerminators [Array] - the strings that end a line of input.
+ *       Defaults to the ECMAScript line terminators: \r\n, \n, \r, U+2028
+ *       and U+2029.
+ *    inputFormat [String] - 'html-escaped' (the default) for text taken from
+ *       an HTML page: <br> tags end lines, &, < and > in patterns match their
+ *       entities, and token content is decoded. 'text' lexes the input as is.
+ *    matching [String] - 'first' (the default) picks the first rule that
+ *       matches at all. 'longest' picks the rule that matches the most text,
+ *       ties going to the rule listed first.
+ *    language [String] - the name of the language, set as the language of
+ *       each token.
+ *    macros [Object] - named fragments of patterns, as RegExps or strings of
+ *       regex source, that RegExp patterns use as {NAME}, like the
+ *       definitions of flex. A macro may use other macros; each use is
+ *       wrapped in a non-capturing group.
+ *    units [String] - what columns count: 'code-units' (the default, as in
+ *       string lengths), 'code-points', or 'graphemes' for user-perceived
+ *       characters. Offsets always count code units, like string indices.
+ *    actions [Object] - callbacks by name, for rules whose callback is given
+ *       as the name of an action. Names not found here are looked up in
+ *       Lexer.actions. Only callbacks with a name can be serialized.
+ *    indentation [Object] - makes leading whitespace significant, as in
+ *       Python. The lexer reads line terminators and the spaces and tabs at
+ *       the start of lines itself, so the rules should only match the
+ *       whitespace within lines. The first token of a line deeper than the
+ *       enclosing block follows an INDENT token, and one of a shallower line
+ *       follows a DEDENT token for each block it closes. Each line with
+ *       tokens ends with a NEWLINE token, except inside the brackets of rules
+ *       that open and close pairs. Lines without tokens are ignored. Needs
+ *       the text input format. Its settings are:
+ *          tabSize [int] - tabs move to the next multiple of this many
+ *             columns. Defaults to 8.
+ *          mixed [String] - 'allow' (the default) or 'error' to report
+ *             indentation that mixes tabs and spaces, or that is deeper,
+ *             shallower or as deep as its block depending on the tab size.
+ *       Dedents to a depth that no enclosing block has are reported.
+ *    engine [String] - 'regex' (the default) matches with one combined
+ *       RegExp per mode. 'dfa' compiles the rules into a Lexer.DFA and scans
+ *       the input without backtracking; it needs longest matching. Each rule
+ *       then matches the longest string in its language, even where the
+ *       RegExp would stop earlier (/a|ab/ matches "ab"). Rules using anchors,
+ *       lookarounds, backreferences or lazy quantifiers keep using RegExp.
+ */
+var Lexer = typeof(Lexer) != 'undefined' ? Lexer : function (rules, options) {
+
+   options = options || {};
+   var lexer = this;
+
+   // A match followed by this many characters of streamed input is assumed
+   // not to change when more input arrives.
+   var lookahead = (options.lookahead != null) ? options.lookahead : 1024;
+   var lineTerminators = options.lineTerminators ||
+      ['\r\n', '\n', '\r', '\u2028', '\u2029'];
+   var inputFormat = options.inputFormat || 'html-escaped';
+   var matching = options.matching || 'first';
+   var engine = options.engine || 'regex';
+   var units = options.units || 'code-units';
+   this.language = options.language || null;
+   var macros = options.macros || {};
+   var indentation = options.indentation || null;
 
    /**
     * Abstraction for the current state of the lexer, without exposing all of
     * the internals of the lexer object.
     *
+    * The state also holds the stack of active modes (start conditions). Only
+    * the rules tagged with the mode on top of the stack are tried; callbacks
+    * switch modes with pushMode, popMode and replaceMode.
+    *
     * @param line [int] - the current line number.
     * @param offset [int] - the offset within the current line.
     */
    var State = function (line, offset) {
       this.line = line;
       this.offset = offset;
+      this.index = 0;  // the offset within the whole input
       this.updated = false;
+      // The furthest index that the steps since the last token depend on.
+      this.reach = -1;
+      this.modes = ['INITIAL'];
+      // With significant indentation: the indentation of the enclosing blocks,
+      // the pairs of brackets open, whether the next character starts a line,
+      // the indentation of the current line until its first token, and
+      // whether the line has tokens yet.
+      this.indents = [''];
+      this.pairs = [];
+      this.lineStart = true;
+      this.pending = null;
+      this.lineTokens = false;
+
+      // Throw if the mode was not declared by any rule.
+      var checkMode = function (name) {
+         if (!lexer._modes || !lexer._modes.hasOwnProperty(name)) {
+            throw new Lexer.ValidationError(null, 'unknown mode "{1}"'.format(name));
+         }
+      };
+
+      // Return the current position, as used for the ranges of tokens.
+      this.position = function () {
+         return { offset: this.index, line: this.line, column: this.offset };
+      };
+
+      // Return a copy of everything but the position that affects how the
+      // rest of the input is lexed.
+      this.save = function () {
+         var saved = { modes: this.modes.slice() };
+         if (indentation) {
+            saved.indents = this.indents.slice();
+            saved.pairs = this.pairs.slice();
+            saved.lineStart = this.lineStart;
+            saved.pending = this.pending;
+            saved.lineTokens = this.lineTokens;
+         }
+         return saved;
+      };
+
+      // Continue from a copy made by save().
+      this.restore = function (saved) {
+         this.modes = saved.modes.slice();
+         if (saved.indents) {
+            this.indents = saved.indents.slice();
+            this.pairs = saved.pairs.slice();
+            this.lineStart = saved.lineStart;
+            this.pending = saved.pending;
+            this.lineTokens = saved.lineTokens;
+         }
+      };
+
+      // Return the name of the mode on top of the stack.
+      this.currentMode = function () {
+         return this.modes[this.modes.length - 1];
+      };
+
+      // Enter a new mode, remembering the current one.
+      this.pushMode = function (name) {
+         checkMode(name);
+         this.modes.push(name);
+      };
+
+      // Return to the previously active mode.
+      this.popMode = function () {
+         if (this.modes.length == 1) {
+            throw new Lexer.ValidationError(null, 'cannot pop the initial mode');
+         }
+         return this.modes.pop();
+      };
+
+      // Swap the mode on top of the stack for another one.
+      this.replaceMode = function (name) {
+         checkMode(name);
+         this.modes[this.modes.length - 1] = name;
+      };
    };
 
    /**
@@ -76,72 +259,503 @@ var Lexer = typeof(Lexer) != 'undefined' ? Lexer : function (rules) {
     *    matches this rule. Captures will be passed to the callback function.
     * @param callback [Function, optional] - a callback that is executed when
     *    this token is matched. This function should accept two arguments:
-    *    (1) the list of matches (as in String::match), and (2) a LexerState
+    *    (1) the list of matches (as in String::match, with the captures of
+    *    named groups in its groups property), and (2) a LexerState
     *    object representing the current state of the lexer (e.g. current line
     *    and offset). If this function is not provided, the whole string that
     *    matched will be added to the list of tokens.
     * @param discard [boolean, optional] - whether to discard this token after
     *    processing instead of adding it to the list of tokens. Defaults to
     *    false (in other words, add the token to the list).
+    * @param modes [Array] - the names of the modes in which this rule is
+    *    active; '*' makes the rule active in every mode.
     */
-   var Rule = function (name, pattern, callback, discard) {
+   var Rule = function (name, pattern, callback, discard, modes) {
       this.name = name;
       this.pattern = pattern;
+      this.source = pattern;
       this.callback = callback;
       this.discard = discard;
+      this.modes = modes;
+
+      // Test whether this rule is active in the given mode.
+      this.inMode = function (name) {
+         return this.modes.indexOf('*') >= 0 || this.modes.indexOf(name) >= 0;
+      };
+
+      // Return the syntax tree of the pattern, parsing it on first use.
+      this.parse = function () {
+         if (!this.tree) {
+            this.tree = parsePattern(this.name, this.source, regexFlags(''));
+         }
+         return this.tree;
+      };
 
       // Return the number of captures in the pattern.
       this.numCaptures = function () {
-         if (this._numCaptures) {
-            return this._numCaptures;
-         } else {
-            // The first alternative ensures that escaped characters do not
-            // interfere with the next two. The second matches open-parens
-            // inside a character class, but does not capture them (with the
-            // result that the callback ignores them). The final alternative
-            // matches capture groups and guards against false positives from
-            // lookaheads [(?:, (?!, (?=].
-            var capture_exp = /\\.|(?:\[(?:\\.|[^\]])*\])|(\((?!\?[!:=]))/g;
-            var numCaptures = 0;
-            this.pattern.replace(capture_exp, function (match, p1) {
-               if (p1) { ++numCaptures; }
-               return '';
-            });
-            this._numCaptures = numCaptures;
-            return this._numCaptures;
+         if (this._numCaptures == null) {
+            this._numCaptures = this.parse().captures;
          }
+         return this._numCaptures;
       };
 
       // Update backreferences to account for backreferences in previous rules
-      // once all rules are combined into a single long regex.
+      // once all rules are combined into a single long regex. The rewrite
+      // always starts from the original source, since a rule that belongs to
+      // several modes sits at a different offset in each mode's regex.
+      // Escapes like \12 that are not backreferences in the rule itself would
+      // become backreferences in the combined regex, so they are written out
+      // as the characters they stand for.
       this.updateReferences = function (offset) {
-         // The first 2 alternatives avoid matching backreferences inside
-         // character classes, since these are not supported by Javascript, and
-         // backreferences with extra leading backslashes.
-         var backref_exp = /\[(?:\\.|[^\]])+\]|\\\D|\\(\d+)/g;
-         var rule = this;
-         this.pattern = this.pattern.replace(backref_exp, function (match, p1) {
-            if (!p1) {
-               return match;  // ignore: the first alternative matched
-            } else {
-               var backref = parseInt(p1, 10);
-               if (backref > 0 && backref <= rule.numCaptures()) {
-                  return '\\' + (backref + offset + 1);  // add 1 for whole-rule capture
-               } else {
-                  return parseInt(p1, 8); // Assume this was an escape sequence?
-               }
+         var source = this.source, edits = [];
+         var collect = function (node) {
+            if (node.type == 'backref') {
+               // Add 1 for the whole-rule capture, and keep a digit that
+               // follows from becoming part of the number.
+               var text = '\\' + (node.number + offset + 1);
+               edits.push({ start: node.start, end: node.end,
+                  text: /[0-9]/.test(source.charAt(node.end)) ? '(?:' + text + ')' : text });
+            } else if (node.type == 'char' && /^\\[1-9]/.test(source.slice(node.start, node.end))) {
+               edits.push({ start: node.start, end: node.end,
+                  text: Lexer.printRegex(node, lexer._unicode) });
             }
-         });
+            var children = node.items || (node.body ? [node.body] : []);
+            children.forEach(collect);
+         };
+         collect(this.parse());
+         this.pattern = rewrite(source, edits);
+         return this.pattern;
+      };
+   };
+
+   // Parse the source of a rule's pattern, throwing a Lexer.ValidationError
+   // that gives the position of the first syntax error in it.
+   var parsePattern = function (name, source, flags) {
+      try {
+         return Lexer.parseRegex(source, flags);
+      } catch (e) {
+         if (!(e instanceof SyntaxError)) {
+            throw e;
+         }
+         var error = new Lexer.ValidationError(name, e.message);
+         error.position = e.position;
+         throw error;
+      }
+   };
+
+   // Replace the given spans of a source, as {start, end, text} objects.
+   var rewrite = function (source, edits) {
+      edits = edits.slice().sort(function (a, b) { return b.start - a.start; });
+      for (var i = 0; i < edits.length; ++i) {
+         source = source.slice(0, edits[i].start) + edits[i].text + source.slice(edits[i].end);
+      }
+      return source;
+   };
+
+   // Replace each {NAME} outside of character classes in a pattern source
+   // with the expansion of the macro of that name. The chain of macros being
+   // expanded is used to detect recursion.
+   var expandMacros = function (rule, source, chain) {
+      var result = '', i = 0, inClass = false;
+      while (i < source.length) {
+         var c = source.charAt(i), m;
+         if (c == '\\') {
+            // Keep escapes with braces of their own, like \p{L}, in one piece.
+            m = /^\\[pPu]\{[^}]*\}/.exec(source.slice(i));
+            result += m ? m[0] : source.substr(i, 2);
+            i += m ? m[0].length : 2;
+            continue;
+         } else if (c == '[' || c == ']') {
+            inClass = (c == '[');
+         } else if (c == '{' && !inClass && (m = /^\{([A-Za-z_]\w*)\}/.exec(source.slice(i)))) {
+            var name = m[1];
+            if (!macros.hasOwnProperty(name)) {
+               var error = new Lexer.ValidationError(rule, 'undefined macro "{1}"'.format(name));
+               error.macro = name;
+               throw error;
+            } else if (chain.indexOf(name) >= 0) {
+               throw new Lexer.ValidationError(rule, 'recursive macro "{1}" ({2})'.format(name,
+                  chain.concat(name).join(' -> ')));
+            }
+            var macro = macros[name];
+            macro = (macro instanceof RegExp) ? macro.source : macro;
+            result += '(?:' + expandMacros(rule, macro, chain.concat(name)) + ')';
+            i += m[0].length;
+            continue;
+         }
+         result += c;
+         ++i;
+      }
+      return result;
+   };
+
+   // Return the flags of a RegExp, where the flags property is missing too.
+   var patternFlags = function (pattern) {
+      return (pattern.flags != null) ? pattern.flags : (pattern.global ? 'g' : '') +
+         (pattern.ignoreCase ? 'i' : '') + (pattern.multiline ? 'm' : '');
+   };
+
+   // Add the u flag to the flags of a regex if any rule asked for it.
+   var regexFlags = function (flags) {
+      return lexer._unicode ? flags + 'u' : flags;
+   };
+
+   // Return the source of a rule's pattern with its flags applied, so that
+   // it matches the same text inside a combined regex with only the g, m and
+   // (for all rules alike) u flags. Flags that cannot be carried over throw
+   // a Lexer.ValidationError.
+   var applyFlags = function (name, pattern) {
+      if (!(pattern instanceof RegExp)) {
+         return Lexer.escape(pattern);
+      }
+      var flags = patternFlags(pattern);
+      var unsupported = flags.replace(/[gimsuyd]/g, '');
+      if (unsupported) {
+         throw new Lexer.ValidationError(name, 'unsupported flag "{1}"'.format(unsupported));
+      } else if (flags.indexOf('i') >= 0 && flags.indexOf('u') >= 0) {
+         // Case is only folded as RegExp does without the u flag.
+         throw new Lexer.ValidationError(name, 'the i flag cannot be combined with the u flag');
+      }
+      // Parse the pattern as given, so that syntax errors point into it.
+      var tree = parsePattern(name, pattern.source, flags);
+      if (!/[is]/.test(flags)) {
+         return pattern.source;
+      }
+      // Spell out case-insensitive and dotAll matching in the pattern.
+      var check = function (node) {
+         if (flags.indexOf('i') >= 0 && (node.type == 'backref' || node.type == 'property' ||
+               node.properties)) {
+            throw new Lexer.ValidationError(name,
+               'the i flag cannot be applied to {1}'.format(node.type == 'backref' ?
+               'backreferences' : 'property escapes'));
+         }
+         var children = node.items || (node.body ? [node.body] : []);
+         children.forEach(check);
+      };
+      check(tree);
+      return Lexer.printRegex(tree, flags.indexOf('u') >= 0);
+   };
+
+   // Turn the named groups of a pattern into plain capture groups, and named
+   // backreferences into numbered ones, since names could clash once the
+   // rules are combined. Returns the new source and the number of the group
+   // for each name, or null if there are no names.
+   var removeNames = function (name, source) {
+      if (!/\(\?<[^=!]/.test(source)) {
+         return { source: source, names: null };
+      }
+      var tree = parsePattern(name, source, regexFlags('')), edits = [];
+      var collect = function (node) {
+         if (node.type == 'group' && node.name != null) {
+            edits.push({ start: node.start, end: node.start + node.name.length + 4, text: '(' });
+         } else if (node.type == 'backref' && node.name != null) {
+            edits.push({ start: node.start, end: node.end, text: '(?:\\' + node.number + ')' });
+         }
+         var children = node.items || (node.body ? [node.body] : []);
+         children.forEach(collect);
       };
+      collect(tree);
+      return { source: rewrite(source, edits), names: tree.names };
+   };
+
+   // Combine the rules active in one mode into a single regex. Each rule is
+   // wrapped in a capture group so that the matching rule can be identified.
+   var compileMode = function (name, modeRules) {
+      var expressions = [], offset = 0;
+      for (var i = 0; i < modeRules.length; ++i) {
+         expressions.push('(' + modeRules[i].updateReferences(offset) + ')');
+         offset += modeRules[i].numCaptures() + 1;
+      }
+      var sticky = null;
+      try {
+         sticky = new RegExp(expressions.join('|'), regexFlags('gmy'));
+      } catch (e) {}  // The sticky flag is not supported everywhere.
+      return {
+         name: name,
+         rules: modeRules,
+         regex: new RegExp(expressions.join('|'), regexFlags('gm')),
+         sticky: sticky
+      };
+   };
+
+   // Find the first non-empty match of a mode's regex at or after index. The
+   // sticky regex is tried first: it only looks at index itself, which is
+   // where the next token starts unless the input contains a syntax error.
+   var findMatch = function (mode, text, index) {
+      var match = null;
+      if (mode.sticky) {
+         mode.sticky.lastIndex = index;
+         match = mode.sticky.exec(text);
+         if (match && match[0].length > 0) {
+            return match;
+         }
+      }
+      mode.regex.lastIndex = index;
+      match = mode.regex.exec(text);
+      while (match && match[0].length == 0) {
+         mode.regex.lastIndex = match.index + 1;
+         match = mode.regex.exec(text);
+      }
+      return match;
+   };
+
+   // Try a regex at exactly the given index.
+   var matchAt = function (regex, text, index) {
+      regex.lastIndex = index;
+      var match = regex.exec(text);
+      return (match && match.index == index) ? match : null;
+   };
+
+   // Split the rules of a mode between a DFA and the rules that must still be
+   // matched with RegExp. The mode keeps using its combined regex if the DFA
+   // grows too large.
+   var compileDFA = function (mode) {
+      var trees = [];
+      mode.dfaRules = [];
+      mode.fallback = [];
+      for (var i = 0; i < mode.rules.length; ++i) {
+         var rule = mode.rules[i];
+         if (rule.tree && Lexer.DFA.supports(rule.tree)) {
+            mode.dfaRules.push(rule);
+            trees.push(rule.tree);
+         } else {
+            mode.fallback.push(rule);
+         }
+      }
+      try {
+         mode.dfa = trees.length ? new Lexer.DFA(trees) : null;
+         mode.engine = 'dfa';
+      } catch (e) {
+         if (!(e instanceof Lexer.ValidationError)) {
+            throw e;
+         }
+      }
+   };
+
+   // Find the next token in text at or after index like nextMatch, using the
+   // DFA of the mode. The rules that the DFA cannot handle are searched with
+   // their own regex first, so that the DFA only runs up to the first index
+   // at which one of them matches.
+   var dfaMatch = function (mode, text, index) {
+      var found = [], last = text.length - 1;
+      for (var i = 0; i < mode.fallback.length; ++i) {
+         var regex = mode.fallback[i].search, match;
+         regex.lastIndex = index;
+         while ((match = regex.exec(text)) && match[0].length == 0) {
+            regex.lastIndex = match.index + 1;
+         }
+         if (match) {
+            found.push({ rule: mode.fallback[i], index: match.index, matches: match });
+            last = Math.min(last, match.index);
+         }
+      }
+      for (var position = index; position <= last; ++position) {
+         var result = null, best = mode.dfa && mode.dfa.match(text, position);
+         if (best) {
+            var rule = mode.dfaRules[best.label];
+            var content = text.substr(position, best.length);
+            result = {
+               rule: rule,
+               index: position,
+               matches: rule.numCaptures() ? rule.exact.exec(content) : [content]
+            };
+         }
+         for (var i = 0; i < found.length; ++i) {
+            var length = result ? result.matches[0].length : 0;
+            if (found[i].index == position && (found[i].matches[0].length > length ||
+                  (found[i].matches[0].length == length &&
+                  mode.rules.indexOf(found[i].rule) < mode.rules.indexOf(result.rule)))) {
+               result = found[i];
+            }
+         }
+         if (result) {
+            return result;
+         }
+      }
+      return null;
+   };
+
+   // Find the next token in text at or after index, returning its rule, its
+   // index and the list of matches passed to the rule's callback. The first
+   // rule to match wins, unless longest-match semantics are enabled: then the
+   // rule matching the most text at that index wins, ties going to the rule
+   // listed first.
+   var nextMatch = function (mode, text, index) {
+      if (mode.engine == 'dfa') {
+         return dfaMatch(mode, text, index);
+      }
+      var match = findMatch(mode, text, index);
+      if (!match) {
+         return null;
+      }
+      // Iterate sequentially through all of the rules, and all of their
+      // respective captures, until one of the captures is found to have
+      // been triggered. Save that rule and break out of the loops to
+      // continue processing. This is guaranteed to select at least one of
+      // the rules because there must have been a match to get here.
+      var rule = null;
+      for (var i = 0, captureIndex = 1; i < mode.rules.length; ++i) {
+         var n = mode.rules[i].numCaptures() + 1;
+         for (var j = 0; j < n; ++j, ++captureIndex) {
+            if (match[captureIndex]) {
+               rule = mode.rules[i];
+               break;
+            }
+         }
+         if (rule) { break; }
+      }
+      var result = {
+         rule: rule,
+         index: match.index,
+         matches: match.slice(captureIndex, captureIndex + rule.numCaptures() + 1)
+      };
+      // The rules ahead of the one found did not match here at all, so only
+      // the rules after it can match more text.
+      if (matching == 'longest') {
+         for (++i; i < mode.rules.length; ++i) {
+            var longer = matchAt(mode.rules[i].regex, text, result.index);
+            if (longer && longer[0].length > result.matches[0].length) {
+               result.rule = mode.rules[i];
+               result.matches = longer;
+            }
+         }
+      }
+      return result;
+   };
+
+   // Build the lookup table for the keywords of a rule, mapping each word
+   // (in lower case when ignoring case) to its token name. Returns null if
+   // the keywords are not valid.
+   var keywordTable = function (keywords, ignoreCase) {
+      var table = Object.create(null), words = keywords;
+      if (keywords instanceof Array) {
+         words = {};
+         for (var i = 0; i < keywords.length; ++i) {
+            if (typeof(keywords[i]) != 'string') {
+               return null;
+            }
+            words[keywords[i]] = keywords[i].toUpperCase();
+         }
+      } else if (!keywords || typeof(keywords) != 'object') {
+         return null;
+      }
+      for (var word in words) {
+         if (!words.hasOwnProperty(word)) {
+            continue;
+         } else if (word.length == 0 || typeof(words[word]) != 'string' || words[word].length == 0) {
+            return null;
+         }
+         table[ignoreCase ? word.toLowerCase() : word] = words[word];
+      }
+      return table;
+   };
+
+   // Return the callback registered under a name, or null.
+   var findAction = function (name) {
+      var actions = options.actions || {};
+      return actions.hasOwnProperty(name) ? actions[name] :
+         Lexer.actions.hasOwnProperty(name) ? Lexer.actions[name] : null;
+   };
+
+   // Return the name under which a callback is registered, or null.
+   var actionName = function (callback) {
+      var registries = [options.actions || {}, Lexer.actions];
+      for (var i = 0; i < registries.length; ++i) {
+         for (var name in registries[i]) {
+            if (registries[i].hasOwnProperty(name) && registries[i][name] === callback) {
+               return name;
+            }
+         }
+      }
+      return null;
+   };
+
+   // Test whether a tree can match the empty string. Anchors, lookarounds and
+   // backreferences are taken to match it.
+   var matchesEmpty = function (node) {
+      if (node.type == 'char' || node.type == 'property') {
+         return false;
+      } else if (node.type == 'seq') {
+         return node.items.every(matchesEmpty);
+      } else if (node.type == 'alt') {
+         return node.items.some(matchesEmpty);
+      } else if (node.type == 'repeat') {
+         return node.min == 0 || matchesEmpty(node.body);
+      } else if (node.type == 'group') {
+         return matchesEmpty(node.body);
+      }
+      return true;
+   };
+
+   // Give a compiled rule the regexes used to match it on its own.
+   var prepareRule = function (rule) {
+      try {
+         rule.regex = new RegExp(rule.source, regexFlags('gmy'));
+      } catch (e) {  // The sticky flag is not supported everywhere.
+         rule.regex = new RegExp(rule.source, regexFlags('gm'));
+      }
+      // Nested rules search for their opening delimiter inside their tokens.
+      if (rule.nest) {
+         rule.nest.open = new RegExp(rule.source, regexFlags('gm'));
+      }
+      // The DFA engine needs an anchored regex to recover the captures of a
+      // rule, and a regex to search for it if the DFA cannot handle it.
+      if (engine == 'dfa') {
+         rule.exact = new RegExp('^(?:' + rule.source + ')$', regexFlags(''));
+         rule.search = new RegExp(rule.source, regexFlags('gm'));
+      }
+   };
+
+   // Compile a delimiter that ends a region of the input, given as a RegExp
+   // or as a string to match literally.
+   var delimiter = function (value, html) {
+      var source = (value instanceof RegExp) ? value.source : Lexer.escape(value);
+      if (html) {
+         source = source.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      }
+      return new RegExp(source, regexFlags('g'));
    };
 
-   // Validate the rules and compile them into one giant regex.
+   // Validate the rules and compile them into one giant regex per mode.
    this.compile = function () {
       this._rules = []
       if (!rules || !(rules instanceof Array) || rules.length == 0) {
          throw new Lexer.ValidationError(null, 'no rules provided');
+      } else if (inputFormat != 'html-escaped' && inputFormat != 'text') {
+         throw new Lexer.ValidationError(null, 'invalid input format "{1}"'.format(inputFormat));
+      } else if (matching != 'longest' && matching != 'first') {
+         throw new Lexer.ValidationError(null, 'invalid matching "{1}"'.format(matching));
+      } else if (engine != 'regex' && engine != 'dfa') {
+         throw new Lexer.ValidationError(null, 'invalid engine "{1}"'.format(engine));
+      } else if (engine == 'dfa' && matching != 'longest') {
+         throw new Lexer.ValidationError(null, 'the dfa engine needs longest matching');
+      } else if (['code-units', 'code-points', 'graphemes'].indexOf(units) < 0) {
+         throw new Lexer.ValidationError(null, 'invalid units "{1}"'.format(units));
+      } else if (typeof(macros) != 'object') {
+         throw new Lexer.ValidationError(null, 'invalid macros "{1}"'.format(macros));
+      } else if (indentation && (typeof(indentation) != 'object' ||
+            (indentation.tabSize != null && !(indentation.tabSize % 1 == 0 && indentation.tabSize > 0)) ||
+            (indentation.mixed != null && indentation.mixed != 'allow' && indentation.mixed != 'error'))) {
+         throw new Lexer.ValidationError(null, 'invalid indentation "{1}"'.format(indentation));
+      } else if (indentation && (inputFormat != 'text' || lineTerminators.length == 0)) {
+         throw new Lexer.ValidationError(null, 'indentation needs text input with line terminators');
+      }
+      for (var name in macros) {
+         if (!macros.hasOwnProperty(name)) {
+            continue;
+         } else if (!/^[A-Za-z_]\w*$/.test(name)) {
+            throw new Lexer.ValidationError(null, 'invalid macro name "{1}"'.format(name));
+         } else if (!(macros[name] instanceof RegExp || typeof(macros[name]) == 'string')) {
+            throw new Lexer.ValidationError(null, 'invalid macro "{1}"'.format(name));
+         }
       }
-      var totalCaptures = 0, overallExp = '';
+      var html = (inputFormat == 'html-escaped');
+      var modeNames = ['INITIAL'];
+      // The u flag applies to the combined regex, so it is used for every
+      // rule as soon as one rule has it.
+      this._unicode = rules.some(function (rule) {
+         return rule && rule.pattern instanceof RegExp && rule.pattern.unicode;
+      });
       for (var i = 0; i < rules.length; ++i) {
          var rule = rules[i];
          if (!rule) {
@@ -154,133 +768,2763 @@ var Lexer = typeof(Lexer) != 'undefined' ? Lexer : function (rules) {
             throw new Lexer.ValidationError(rule.name, 'missing pattern');
          } else if (!(rule.pattern instanceof RegExp || typeof(rule.pattern) == 'string') ) {
             throw new Lexer.ValidationError(rule.name, 'invalid pattern "{1}"'.format(rule.pattern));
-         } else if (rule.callback && !(rule.callback instanceof Function)) {
+         } else if (typeof(rule.callback) == 'string' && !findAction(rule.callback)) {
+            throw new Lexer.ValidationError(rule.name, 'unknown action "{1}"'.format(rule.callback));
+         } else if (rule.callback && typeof(rule.callback) != 'string' &&
+               !(rule.callback instanceof Function)) {
             throw new Lexer.ValidationError(rule.name, 'invalid callback "{1}"'.format(rule.callback));
+         } else if (rule.keywords != null && !keywordTable(rule.keywords)) {
+            throw new Lexer.ValidationError(rule.name, 'invalid keywords "{1}"'.format(rule.keywords));
+         } else if (rule.embed != null && !(rule.embed.lexer instanceof Lexer ||
+               rule.embed.lexer instanceof Function)) {
+            throw new Lexer.ValidationError(rule.name, 'invalid embedded lexer "{1}"'.format(rule.embed.lexer));
+         } else if (rule.embed != null && rule.embed.until != null &&
+               !(rule.embed.until instanceof RegExp || typeof(rule.embed.until) == 'string')) {
+            throw new Lexer.ValidationError(rule.name, 'invalid terminator "{1}"'.format(rule.embed.until));
+         } else if (rule.push != null && !Lexer.isModeName(rule.push)) {
+            throw new Lexer.ValidationError(rule.name, 'invalid mode "{1}"'.format(rule.push));
+         } else if (rule.nest != null && !(rule.nest.close instanceof RegExp ||
+               (typeof(rule.nest.close) == 'string' && rule.nest.close.length > 0))) {
+            throw new Lexer.ValidationError(rule.name, 'invalid closing delimiter "{1}"'.format(rule.nest.close));
+         } else if (rule.nest != null && rule.embed != null) {
+            throw new Lexer.ValidationError(rule.name, 'a rule cannot both nest and embed');
+         } else if (rule.opens != null && (typeof(rule.opens) != 'string' || rule.opens.length == 0)) {
+            throw new Lexer.ValidationError(rule.name, 'invalid delimiter pair "{1}"'.format(rule.opens));
+         } else if (rule.closes != null && (typeof(rule.closes) != 'string' || rule.closes.length == 0)) {
+            throw new Lexer.ValidationError(rule.name, 'invalid delimiter pair "{1}"'.format(rule.closes));
+         }
+         // Rules without a mode belong to the INITIAL mode.
+         var modes = (rule.modes != null) ? rule.modes : ['INITIAL'];
+         modes = (modes instanceof Array) ? modes.slice() : [modes];
+         for (var j = 0; j < modes.length; ++j) {
+            if (modes[j] != '*' && !Lexer.isModeName(modes[j])) {
+               throw new Lexer.ValidationError(rule.name, 'invalid mode "{1}"'.format(modes[j]));
+            } else if (modes[j] != '*' && modeNames.indexOf(modes[j]) < 0) {
+               modeNames.push(modes[j]);
+            }
+         }
+         if (modes.length == 0) {
+            throw new Lexer.ValidationError(rule.name, 'empty mode list');
+         }
+         var pattern = rule.pattern;
+         // Without macros, braces keep their meaning in the pattern.
+         if (options.macros && pattern instanceof RegExp && /\{[A-Za-z_]/.test(pattern.source)) {
+            pattern = new RegExp(expandMacros(rule.name, pattern.source, []), patternFlags(pattern));
+         }
+         var expression = applyFlags(rule.name, pattern);
+         if (this._unicode && !(rule.pattern instanceof RegExp && rule.pattern.unicode)) {
+            try {
+               new RegExp(expression, 'u');
+            } catch (e) {
+               throw new Lexer.ValidationError(rule.name,
+                  'the pattern is not valid with the u flag of other rules');
+            }
+         }
+         var named = removeNames(rule.name, expression);
+         expression = named.source;
+         if (html) {
+            expression = expression.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+         }
+         var callback = (typeof(rule.callback) == 'string') ?
+            findAction(rule.callback) : rule.callback;
+         var r = new Rule(rule.name, expression, callback, !!rule.discard, modes);
+         r.action = (typeof(rule.callback) == 'string') ? rule.callback : null;
+         r.groupNames = named.names;
+         if (rule.embed) {
+            r.embed = { lexer: rule.embed.lexer, language: rule.embed.language,
+               until: (rule.embed.until != null) ? delimiter(rule.embed.until, html) : null };
+         }
+         if (rule.nest) {
+            r.nest = { close: delimiter(rule.nest.close, html) };
+         }
+         r.push = rule.push;
+         r.pop = !!rule.pop;
+         r.opens = rule.opens || null;
+         r.closes = rule.closes || null;
+         if (rule.keywords != null) {
+            r.keywords = keywordTable(rule.keywords, !!rule.keywordsIgnoreCase);
+            r.keywordsIgnoreCase = !!rule.keywordsIgnoreCase;
          }
-         var expression = (rule.pattern instanceof RegExp) ?
-            rule.pattern.source : rule.pattern.replace(/[-.*+?^$()\[\]{}\\]/g, '\\$1')
-         expression = expression.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-         var r = new Rule(rule.name, expression, rule.callback, !!rule.discard);
-         r.updateReferences(totalCaptures + 1);
-         totalCaptures += r.numCaptures() + 1;
          this._rules.push(r);
-         overallExp += '|({1})'.format(expression);
+      }
+      // Rules can only push modes that some rule is active in.
+      for (var i = 0; i < this._rules.length; ++i) {
+         if (this._rules[i].push && modeNames.indexOf(this._rules[i].push) < 0) {
+            throw new Lexer.ValidationError(this._rules[i].name,
+               'unknown mode "{1}"'.format(this._rules[i].push));
+         }
       }
       // Add a special default rule to deal with HTML line breaks.
-      this._rules.unshift(
-         new Rule('HTML_BREAK', '<br\\s*\\/?\\s*>', function (captures, lexState) {
-            lexState.line += 1;
-            lexState.offset = 1;
-            lexState.updated = true;
-            return null;
-         }, true));
-      overallExp = '(<br\s*\/?\s*>)' + overallExp;
-      this._languageRegex = new RegExp(overallExp, 'gm');
+      if (html) {
+         this._rules.unshift(
+            new Rule('HTML_BREAK', '<br\\s*\\/?\\s*>', Lexer.actions.htmlBreak, true, ['*']));
+      }
+      this._html = html;
+      // Each rule also gets a regex of its own, to compare match lengths. A
+      // rule matching the empty string would hide the rules after it.
+      for (var i = 0; i < this._rules.length; ++i) {
+         if (matchesEmpty(this._rules[i].parse())) {
+            throw new Lexer.ValidationError(this._rules[i].name, 'the pattern can match the empty string');
+         }
+         prepareRule(this._rules[i]);
+      }
+      // Compile INITIAL last, so that the patterns left on rules shared with
+      // other modes are the ones used by the default mode.
+      this._modes = {};
+      modeNames.push(modeNames.shift());
+      for (var i = 0; i < modeNames.length; ++i) {
+         var modeRules = [];
+         for (var j = 0; j < this._rules.length; ++j) {
+            if (this._rules[j].inMode(modeNames[i])) {
+               modeRules.push(this._rules[j]);
+            }
+         }
+         this._modes[modeNames[i]] = compileMode(modeNames[i], modeRules);
+         if (engine == 'dfa') {
+            compileDFA(this._modes[modeNames[i]]);
+         }
+      }
+      this._languageRegex = this._modes.INITIAL.regex;
+      // Match any line terminator, trying the longest ones first.
+      if (!(lineTerminators instanceof Array)) {
+         throw new Lexer.ValidationError(null, 'invalid line terminators "{1}"'.format(lineTerminators));
+      }
+      for (var i = 0; i < lineTerminators.length; ++i) {
+         if (typeof(lineTerminators[i]) != 'string' || lineTerminators[i].length == 0) {
+            throw new Lexer.ValidationError(null, 'invalid line terminator "{1}"'.format(lineTerminators[i]));
+         }
+      }
+      var terminators = lineTerminators.slice().sort(function (a, b) {
+         return b.length - a.length;
+      }).map(Lexer.escape);
+      this._lineRegex = terminators.length ? new RegExp(terminators.join('|'), 'g') : null;
    }
 
-   // Try to recognize the text.
-   this.lex = function (text) {
-      if (!this._languageRegex) {
+   // Return the compiled lexer as a JSON string, from which Lexer.deserialize
+   // restores it without compiling the rules again. Callbacks are stored as
+   // the names of actions, so every callback must be registered in the
+   // actions option or in Lexer.actions.
+   this.serialize = function () {
+      if (!this._modes) {
          this.compile();
       }
-      var tokens = [], lexer = this, startIndex = 0, startTime = new Date();
-      this.state = new State(1, 1);
-      text.replace(this._languageRegex, function () {
-         var matchIndex = arguments[arguments.length-2];
-         if (matchIndex > startIndex) {
-            console.log('{1}:{2}: skipped unexpected characters "{3}"'.format(
-               lexer.state.line, lexer.state.offset, text.slice(startIndex, matchIndex)));
-            lexer.state.offset += (matchIndex - startIndex);
-         }
-         // Iterate sequentially through all of the rules, and all of their
-         // respective captures, until one of the captures is found to have
-         // been triggered. Save that rule and break out of the loops to
-         // continue processing. This is guaranteed to select at least one of
-         // the rules because there must have been a match to get here.
-         var rule = null, val = arguments[0];
-         for (var i = 0, captureIndex = 1; i < lexer._rules.length; ++i) {
-            var n = lexer._rules[i].numCaptures() + 1;
-            for (var j = 0; j < n; ++j, ++captureIndex) {
-               if (arguments[captureIndex]) {
-                  rule = lexer._rules[i];
-                  break;
+      var compiled = this._rules;
+      for (var i = 0; i < compiled.length; ++i) {
+         if (compiled[i].embed) {
+            throw new Lexer.ValidationError(compiled[i].name, 'embedded lexers cannot be serialized');
+         }
+      }
+      var action = function (name, callback) {
+         if (!callback || typeof(callback) == 'string') {
+            return callback || null;
+         }
+         var found = actionName(callback);
+         if (!found) {
+            throw new Lexer.ValidationError(name, 'the callback is not a registered action');
+         }
+         return found;
+      };
+      var data = {
+         version: 1,
+         options: {
+            lookahead: lookahead,
+            strict: !!options.strict,
+            indentation: indentation,
+            lineTerminators: lineTerminators,
+            inputFormat: inputFormat,
+            matching: matching,
+            engine: engine,
+            units: units,
+            macros: Object.keys(macros).reduce(function (sources, name) {
+               var macro = macros[name];
+               sources[name] = (macro instanceof RegExp) ? macro.source : macro;
+               return sources;
+            }, {})
+         },
+         definitions: rules.map(function (rule) {
+            var definition = { name: rule.name };
+            if (rule.pattern instanceof RegExp) {
+               definition.regex = rule.pattern.source;
+               definition.flags = patternFlags(rule.pattern);
+            } else {
+               definition.pattern = rule.pattern;
+            }
+            ['discard', 'push', 'pop', 'modes', 'keywords', 'keywordsIgnoreCase', 'opens', 'closes'].forEach(function (key) {
+               if (rule[key] != null) {
+                  definition[key] = rule[key];
                }
+            });
+            if (rule.nest) {
+               definition.nest = (rule.nest.close instanceof RegExp) ?
+                  { regex: rule.nest.close.source } : { close: rule.nest.close };
             }
-            if (rule) { break; }
-         }
-         // Call the callback action if one is defined.
-         if (rule.callback) {
-            var matches = Array.prototype.slice.call(
-                  arguments, captureIndex, captureIndex + rule.numCaptures() + 1);
-            val = rule.callback.call(rule, matches, lexer.state);
+            definition.callback = action(rule.name, rule.callback);
+            return definition;
+         }),
+         rules: compiled.map(function (rule) {
+            return {
+               name: rule.name,
+               source: rule.source,
+               pattern: rule.pattern,
+               captures: rule.numCaptures(),
+               action: rule.action || action(rule.name, rule.callback),
+               discard: rule.discard,
+               push: rule.push || null,
+               pop: rule.pop,
+               modes: rule.modes,
+               groupNames: rule.groupNames || null,
+               keywords: rule.keywords || null,
+               keywordsIgnoreCase: !!rule.keywordsIgnoreCase,
+               nest: rule.nest ? rule.nest.close.source : null,
+               opens: rule.opens,
+               closes: rule.closes
+            };
+         }),
+         modes: {},
+         html: this._html,
+         unicode: this._unicode,
+         languageRegex: this._languageRegex.source,
+         lineRegex: this._lineRegex ? this._lineRegex.source : null
+      };
+      var indices = function (list) {
+         return list.map(function (rule) { return compiled.indexOf(rule); });
+      };
+      for (var name in this._modes) {
+         var mode = this._modes[name];
+         data.modes[name] = { regex: mode.regex.source, rules: indices(mode.rules) };
+         if (mode.engine == 'dfa') {
+            data.modes[name].dfa = mode.dfa;
+            data.modes[name].dfaRules = indices(mode.dfaRules);
+            data.modes[name].fallback = indices(mode.fallback);
          }
-         // Discard the token if requested or the callback returns null.
-         if (!rule.discard && val != null) {
-            tokens.push(new Lexer.Token(rule.name, val, lexer.state));
+      }
+      return JSON.stringify(data);
+   };
+
+   // Take over the compiled rules and modes of data from serialize().
+   this._restore = function (data) {
+      this._unicode = !!data.unicode;
+      this._rules = data.rules.map(function (saved) {
+         var callback = saved.action ? findAction(saved.action) : null;
+         if (saved.action && !callback) {
+            throw new Lexer.ValidationError(saved.name, 'unknown action "{1}"'.format(saved.action));
          }
-         // Add the matched token length to the offset if it hasn't already been
-         // updated by the callback function.
-         if (!lexer.state.updated) {
-            lexer.state.offset += arguments[0].length;
-         } else { // Clear the updated flag for the next iteration.
-            lexer.state.updated = false;
+         var rule = new Rule(saved.name, saved.source, callback, saved.discard, saved.modes);
+         rule.pattern = saved.pattern;
+         rule._numCaptures = saved.captures;
+         rule.action = saved.action;
+         rule.groupNames = saved.groupNames;
+         rule.push = saved.push;
+         rule.pop = saved.pop;
+         if (saved.keywords) {
+            rule.keywords = Object.create(null);
+            for (var word in saved.keywords) {
+               rule.keywords[word] = saved.keywords[word];
+            }
+            rule.keywordsIgnoreCase = saved.keywordsIgnoreCase;
          }
-         startIndex = matchIndex + arguments[0].length;
-         return '';  // remove these chars so they can't generate more matches.
+         rule.nest = (saved.nest != null) ? { close: new RegExp(saved.nest, regexFlags('g')) } : null;
+         rule.opens = saved.opens || null;
+         rule.closes = saved.closes || null;
+         prepareRule(rule);
+         return rule;
       });
-      var endTime = new Date() - startTime;
-      console.log('time:', endTime, 'ms', tokens.slice(0, 100));
-      return tokens;
-   }
-};
+      var compiled = this._rules;
+      var lookup = function (list) {
+         return list.map(function (i) { return compiled[i]; });
+      };
+      this._modes = {};
+      for (var name in data.modes) {
+         var saved = data.modes[name], sticky = null;
+         try {
+            sticky = new RegExp(saved.regex, regexFlags('gmy'));
+         } catch (e) {}  // The sticky flag is not supported everywhere.
+         var mode = this._modes[name] = {
+            name: name,
+            rules: lookup(saved.rules),
+            regex: new RegExp(saved.regex, regexFlags('gm')),
+            sticky: sticky
+         };
+         if (saved.dfaRules) {
+            mode.engine = 'dfa';
+            mode.dfa = saved.dfa ? Lexer.DFA.restore(saved.dfa) : null;
+            mode.dfaRules = lookup(saved.dfaRules);
+            mode.fallback = lookup(saved.fallback);
+         }
+      }
+      this._html = data.html;
+      this._languageRegex = this._modes.INITIAL.regex;
+      this._lineRegex = data.lineRegex ? new RegExp(data.lineRegex, 'g') : null;
+   };
 
-// Default rules separate whitespace from non-whitespace.
-Lexer.Languages = {
-   'default': [
-      { name: 'WHITESPACE', pattern: /\s+/, discard: true },
-      { name: 'WORD', pattern: /\w+|./ }
-   ]
-};
+   // Move the state past a span of the input, starting a new line after each
+   // line terminator in it.
+   var advance = function (state, span) {
+      var terminators = lexer._lineRegex, lineStart = -1, match;
+      if (terminators) {
+         terminators.lastIndex = 0;
+         while ((match = terminators.exec(span))) {
+            state.line += 1;
+            lineStart = match.index + match[0].length;
+         }
+      }
+      if (lineStart < 0) {
+         state.offset += Lexer.measure(span, units);
+      } else {
+         state.offset = 1 + Lexer.measure(span.slice(lineStart), units);
+      }
+      state.index += span.length;
+   };
 
-// Represents a token.
-Lexer.Token = function (name, content, lexState) {
-   this.name = name;
-   this.content = content;
-   this.position = { line: lexState.line, column: lexState.offset };
+   // Record a lexical error, and stop lexing if running in strict mode.
+   var report = function (error) {
+      lexer.errors.push(error);
+      if (options.onError) {
+         options.onError.call(lexer, error);
+      }
+      if (options.strict) {
+         throw error;
+      }
+   };
 
-   this.toString = function () {
-      return this.name;
-   }
-}
+   // Return the captures of the named groups of a rule, keyed by name.
+   var namedGroups = function (rule, matches) {
+      var groups = {};
+      for (var name in rule.groupNames) {
+         if (rule.groupNames.hasOwnProperty(name)) {
+            groups[name] = matches[rule.groupNames[name]];
+         }
+      }
+      return groups;
+   };
 
-// Get a stack trace from an exception.
-Lexer.StackTrace = function () {
-   // create a fake exception
-   try {
-      var fake = 0;
-      fake.doFake();
-   } catch (e) {
-      return e.stack;
-   }
-}
+   // Return the name of the token for a match of a rule: the name of the
+   // keyword matched, if any, or else the name of the rule.
+   var tokenName = function (rule, text) {
+      if (rule.keywords) {
+         var name = rule.keywords[rule.keywordsIgnoreCase ? text.toLowerCase() : text];
+         if (name) {
+            return name;
+         }
+      }
+      return rule.name;
+   };
 
-/**
- * The error thrown when the rules for a language are incorrectly specified.
- */
-Lexer.ValidationError = function (rule, msg) {
-   this.name = 'Lexer.ValidationError';
-   this.message = msg;
-   this.rule = rule;
-   this.stack = Lexer.StackTrace();
+   // Return the first match of a global regex in text at or after index that
+   // is not empty, unless it is at the end of the text. Returns null if there
+   // is none.
+   var search = function (regex, text, index) {
+      var match;
+      regex.lastIndex = index;
+      while ((match = regex.exec(text)) && match[0].length == 0 && match.index < text.length) {
+         regex.lastIndex = match.index + 1;
+      }
+      return match;
+   };
 
-   // Return a nicely formatted error string.
-   this.toString = function () {
-      var result = 'Validation Error: ';
-      if (rule) {
-         // If the rule name is a string, surround in quotes.
-         result += 'in rule ' + (rule.indexOf ? '"' + rule + '"' : rule);
+   // Return the end of a token of a nested rule whose opening delimiter ends
+   // at index: the end of the close that balances it, or -1 if the input
+   // ends first.
+   var nestedEnd = function (rule, text, index) {
+      for (var depth = 1; depth > 0; ) {
+         var open = search(rule.nest.open, text, index);
+         var close = search(rule.nest.close, text, index);
+         if (!close || close[0].length == 0) {
+            return -1;
+         } else if (open && open[0].length > 0 && open.index < close.index) {
+            ++depth;
+            index = open.index + open[0].length;
+         } else {
+            --depth;
+            index = close.index + close[0].length;
+         }
       }
-      return result + msg;
-   }
-}
-//Lexer.ValidationError.prototype = new SyntaxError();
\ No newline at end of file
+      return index;
+   };
+
+   // Pair up the brackets among a list of tokens that follows the tokens
+   // already counted in brackets, setting their depth and partner. Openers
+   // wait in brackets.open for a partner. Closers without one are kept in
+   // brackets.unpaired, along with the openers of other pairs that a closer
+   // skips over.
+   var pairBrackets = function (tokens, brackets) {
+      for (var i = 0; i < tokens.length; ++i, ++brackets.count) {
+         var token = tokens[i], kind = token._bracket, open = brackets.open;
+         if (!kind) {
+            continue;
+         }
+         var at = open.length - 1;
+         if (kind.closes && kind.opens) {
+            at = (at >= 0 && open[at].token._bracket.opens == kind.closes) ? at : -1;
+         } else if (kind.closes) {
+            while (at >= 0 && open[at].token._bracket.opens != kind.closes) {
+               --at;
+            }
+         }
+         token.partner = null;
+         if (kind.closes && at >= 0) {
+            brackets.unpaired = brackets.unpaired.concat(open.slice(at + 1).map(function (entry) {
+               return entry.token;
+            }));
+            var opener = open[at];
+            open.length = at;
+            token.depth = at;
+            token.partner = opener.index;
+            opener.token.partner = brackets.count;
+         } else if (kind.opens) {
+            token.depth = open.length;
+            open.push({ token: token, index: brackets.count });
+         } else {
+            token.depth = open.length;
+            brackets.unpaired.push(token);
+         }
+      }
+   };
+
+   // Report the brackets still without a partner at the end of the input.
+   var reportBrackets = function (brackets) {
+      var left = brackets.unpaired.concat(brackets.open.map(function (entry) {
+         return entry.token;
+      }));
+      left.sort(function (a, b) { return a.start.offset - b.start.offset; });
+      for (var i = 0; i < left.length; ++i) {
+         var token = left[i], start = token.start;
+         var error = new Lexer.LexError(String(token.content), start.line, start.column, start.offset,
+            '{1} "{2}"'.format(token._bracket.opens ? 'unclosed' : 'unmatched', token.content));
+         error.token = token;
+         report(error);
+      }
+   };
+
+   // Find the text that a match of an embedding rule hands to another lexer,
+   // as its start and end index and the lexer. With a terminator, open is set
+   // if the terminator was not found, and reach is the end of the text that
+   // finding it depends on. Returns null if there is no lexer.
+   var embeddedRegion = function (rule, matches, text, index, end) {
+      var child = rule.embed.lexer;
+      if (!(child instanceof Lexer)) {
+         child = child.call(rule, matches);
+      }
+      if (!child) {
+         return null;
+      } else if (!rule.embed.until) {
+         return { start: index, end: end, lexer: child };
+      }
+      var terminator = search(rule.embed.until, text, end);
+      return { start: end, end: terminator ? terminator.index : text.length, lexer: child,
+         after: true, open: !terminator,
+         reach: terminator ? terminator.index + terminator[0].length : text.length };
+   };
+
+   // Lex an embedded region with its lexer, and add its tokens and errors with
+   // their positions moved to where the region starts. The state moves to the
+   // end of the region, whose index is returned.
+   var embed = function (rule, region, text, origin, state, tokens) {
+      var child = region.lexer, result = { tokens: [], errors: [] };
+      if (region.end > region.start) {
+         result = child._lexRegion(text.slice(region.start, region.end));
+      }
+      var language = rule.embed.language || child.language;
+      var move = function (line, column) {
+         return { line: origin.line + line - 1, column: (line == 1) ? origin.column + column - 1 : column };
+      };
+      for (var i = 0; i < result.tokens.length; ++i) {
+         var token = result.tokens[i].shift(origin.offset, origin.line - 1, origin.column - 1, 1);
+         // Only tokens of this lexer can be lexed again from.
+         delete token._state;
+         // Tokens of lexers embedded in turn keep their own language.
+         if (language && (!token.language || token.language == child.language)) {
+            token.language = language;
+         }
+         tokens.push(token);
+      }
+      for (var i = 0; i < result.errors.length; ++i) {
+         var error = result.errors[i], at = move(error.line, error.column);
+         // Embedded brackets are paired along with the brackets of this lexer.
+         if (!error.token) {
+            report(new Lexer.LexError(error.text, at.line, at.column, origin.offset + error.offset,
+               error.message));
+         }
+      }
+      // Text after the match continues where the embedded lexer stopped.
+      if (region.after && region.end > region.start) {
+         var end = move(result.state.line, result.state.offset);
+         state.line = end.line;
+         state.offset = end.column;
+         state.index = region.end;
+      }
+      return region.end;
+   };
+
+   // Make a token that stands for the layout of the input rather than for the
+   // text of a rule.
+   var layoutToken = function (name, content, start, end) {
+      var token = new Lexer.Token(name, content, start, end);
+      token._layout = true;
+      if (lexer.language) {
+         token.language = lexer.language;
+      }
+      return token;
+   };
+
+   // With significant indentation, read the leading whitespace of a line or
+   // a line terminator at startIndex, adding a NEWLINE token for terminators
+   // that end a line with tokens outside of brackets. Returns the index after
+   // them, startIndex if more streamed input is needed, or -1 if the rules
+   // come next.
+   var readLayout = function (text, startIndex, state, tokens, complete) {
+      if (state.lineStart && state.pairs.length == 0) {
+         var end = startIndex;
+         while (end < text.length && (text[end] == ' ' || text[end] == '\t')) {
+            ++end;
+         }
+         if (end == text.length && !complete) {
+            return startIndex;
+         }
+         state.lineStart = false;
+         state.pending = { text: text.slice(startIndex, end), start: state.position() };
+         if (end > startIndex) {
+            advance(state, state.pending.text);
+            return end;
+         }
+      }
+      state.lineStart = false;
+      var terminator = '';
+      for (var i = 0; i < lineTerminators.length; ++i) {
+         var candidate = lineTerminators[i];
+         if (candidate.length > terminator.length &&
+               text.substr(startIndex, candidate.length) == candidate) {
+            terminator = candidate;
+         }
+      }
+      if (!terminator) {
+         return -1;
+      } else if (!complete && startIndex + terminator.length == text.length) {
+         return startIndex;  // The terminator may be part of a longer one.
+      }
+      var start = state.position();
+      advance(state, terminator);
+      state.lineStart = true;
+      state.pending = null;
+      if (state.lineTokens && state.pairs.length == 0) {
+         tokens.push(layoutToken('NEWLINE', terminator, start, state.position()));
+         state.lineTokens = false;
+      }
+      return startIndex + terminator.length;
+   };
+
+   // Return the width of the indentation of a line, with tabs of the given
+   // size or of the configured one.
+   var indentWidth = function (space, tabSize) {
+      var width = 0;
+      tabSize = tabSize || indentation.tabSize || 8;
+      for (var i = 0; i < space.length; ++i) {
+         width = (space[i] == '\t') ? width - width % tabSize + tabSize : width + 1;
+      }
+      return width;
+   };
+
+   // Test whether one indentation compares to another the same way whether
+   // tabs take a single column or the tab size, as Python requires.
+   var sameOrder = function (space, other) {
+      var wide = indentWidth(space) - indentWidth(other), narrow = indentWidth(space, 1) - indentWidth(other, 1);
+      return (wide > 0) == (narrow > 0) && (wide < 0) == (narrow < 0);
+   };
+
+   // Put INDENT or DEDENT tokens for the indentation of a line in front of
+   // its first tokens, which start at index first in the list.
+   var indent = function (state, tokens, first) {
+      var pending = state.pending, indents = state.indents, made = [];
+      state.lineTokens = true;
+      state.pending = null;
+      if (!pending) {
+         return;
+      }
+      var start = pending.start, at = tokens[first].start, width = indentWidth(pending.text);
+      var mixed = /\t/.test(pending.text) && / /.test(pending.text);
+      var inconsistent = !sameOrder(pending.text, indents[indents.length - 1]);
+      if (width > indentWidth(indents[indents.length - 1])) {
+         indents.push(pending.text);
+         made.push(layoutToken('INDENT', pending.text, start, at));
+      }
+      while (width < indentWidth(indents[indents.length - 1])) {
+         indents.pop();
+         made.push(layoutToken('DEDENT', '', at, at));
+      }
+      inconsistent = inconsistent || !sameOrder(pending.text, indents[indents.length - 1]);
+      if (indentation.mixed == 'error' && (mixed || inconsistent)) {
+         report(new Lexer.LexError(pending.text, start.line, start.column, start.offset, mixed ?
+            'indentation mixes tabs and spaces' : 'indentation is inconsistent in its use of tabs and spaces'));
+      }
+      if (width != indentWidth(indents[indents.length - 1])) {
+         report(new Lexer.LexError(pending.text, start.line, start.column, start.offset,
+            'dedent to a depth without a block'));
+      }
+      tokens.splice.apply(tokens, [first, 0].concat(made));
+   };
+
+   // With significant indentation, end the last line and close the blocks
+   // still open at the end of the input.
+   var endLayout = function (state, tokens) {
+      if (!indentation) {
+         return;
+      }
+      var at = state.position();
+      if (state.lineTokens) {
+         tokens.push(layoutToken('NEWLINE', '', at, at));
+         state.lineTokens = false;
+      }
+      while (state.indents.length > 1) {
+         state.indents.pop();
+         tokens.push(layoutToken('DEDENT', '', at, at));
+      }
+      state.pending = null;
+   };
+
+   // Return an automaton that reads at least as far into the text as
+   // matching a rule on its own does, built on first use, or null if the rule
+   // cannot be loosened or the automaton grows too large.
+   var ruleReach = function (rule) {
+      if (rule._reachDFA === undefined) {
+         var tree = Lexer.DFA.loosen(rule.parse());
+         rule._reachDFA = null;
+         try {
+            rule._reachDFA = tree && new Lexer.DFA([tree]);
+         } catch (e) {
+            if (!(e instanceof Lexer.ValidationError)) {
+               throw e;
+            }
+         }
+      }
+      return rule._reachDFA;
+   };
+
+   // Test whether a tree has a lazy quantifier.
+   var isLazy = function (node) {
+      var children = node.items || (node.body ? [node.body] : []);
+      return (node.type == 'repeat' && !node.greedy) || children.some(isLazy);
+   };
+
+   // Return the furthest index of text that matching the given rules at index
+   // may look at, or the fallback if one of them cannot be bounded.
+   var reachOf = function (rules, text, index, fallback) {
+      var furthest = index;
+      for (var i = 0; i < rules.length; ++i) {
+         var dfa = ruleReach(rules[i]);
+         if (!dfa) {
+            return fallback;
+         }
+         furthest = Math.max(furthest, dfa.reach(text, index));
+      }
+      return furthest;
+   };
+
+   // Return the furthest index of text that the match of a step depends on.
+   // Only the rules tried before the winner failed at its index, unless all
+   // of them are tried for the longest match. A lazy winner stops at the end
+   // of its match, as the regex engine does.
+   var matchReach = function (mode, match, text, fallback) {
+      var rules = mode.rules, end = match.index + match.matches[0].length;
+      if (matching == 'first') {
+         rules = rules.slice(0, rules.indexOf(match.rule));
+      } else {
+         rules = rules.filter(function (rule) { return rule != match.rule; });
+      }
+      var reach = reachOf(rules, text, match.index, fallback);
+      if (match.rule._lazy == null) {
+         match.rule._lazy = isLazy(match.rule.parse());
+      }
+      return Math.max(reach, match.rule._lazy ? end :
+         reachOf([match.rule], text, match.index, fallback));
+   };
+
+   // Lex the next match in text at or after startIndex, appending its token
+   // to the list. Unless the input is complete, do nothing if the match might
+   // still change once more text arrives, i.e. if nothing matched yet or if
+   // matching may have looked at the end of the text. Returns the index after
+   // the match.
+   var step = function (text, startIndex, state, tokens, complete) {
+      lexer.state = state;
+      if (indentation) {
+         var layout = readLayout(text, startIndex, state, tokens, complete);
+         if (layout >= 0) {
+            state.reach = Math.max(state.reach, layout);
+            return layout;
+         }
+      }
+      var first = tokens.length;
+      var mode = lexer._modes[state.currentMode()];
+      var match = nextMatch(mode, text, startIndex);
+      var matchIndex = match ? match.index : text.length;
+      // Find how far the step depends on the text: no rule matched at the
+      // indices it skipped.
+      var fallback = complete ? text.length :
+         matchIndex + (match ? match.matches[0].length : 0) + lookahead - 1;
+      var skipped = -1, reach = -1;
+      for (var i = startIndex; i < matchIndex && skipped < text.length; ++i) {
+         skipped = Math.max(skipped, reachOf(mode.rules, text, i, fallback));
+      }
+      if (match) {
+         reach = matchReach(mode, match, text, fallback);
+      }
+      if (!complete && (!match || Math.max(skipped, reach) >= text.length)) {
+         return startIndex;
+      }
+      state.reach = Math.max(state.reach, skipped);
+      if (matchIndex > startIndex) {
+         report(new Lexer.LexError(text.slice(startIndex, matchIndex),
+            state.line, state.offset, state.index));
+         advance(state, text.slice(startIndex, matchIndex));
+      }
+      if (!match) {
+         return matchIndex;
+      }
+      var end = matchIndex + match.matches[0].length, region = null, unclosed = null;
+      if (match.rule.nest) {
+         var nested = nestedEnd(match.rule, text, end);
+         if (nested < 0 && !complete) {
+            return startIndex;  // The close may still arrive.
+         } else if (nested < 0) {
+            unclosed = match.matches[0];
+         }
+         end = (nested < 0) ? text.length : nested;
+         match.matches[0] = text.slice(matchIndex, end);
+      }
+      if (match.rule.embed) {
+         region = embeddedRegion(match.rule, match.matches, text, matchIndex, end);
+         if (!complete && region && region.open) {
+            return startIndex;  // The terminator may still arrive.
+         }
+      }
+      // Call the callback action if one is defined.
+      var rule = match.rule, val = match.matches[0];
+      var start = state.position(), saved = state.save();
+      if (rule.groupNames) {
+         match.matches.groups = namedGroups(rule, match.matches);
+      }
+      if (rule.callback) {
+         val = rule.callback.call(rule, match.matches, state);
+      }
+      // Turn entities in HTML input back into the characters they stand for.
+      if (lexer._html && typeof(val) == 'string') {
+         val = Lexer.decodeHTML(val);
+      }
+      // Apply the mode changes requested by the rule itself.
+      if (rule.pop) {
+         state.popMode();
+      }
+      if (rule.push) {
+         state.pushMode(rule.push);
+      }
+      // Move past the matched text if the position hasn't already been
+      // updated by the callback function.
+      if (!state.updated) {
+         advance(state, match.matches[0]);
+      } else { // Clear the updated flag for the next iteration.
+         state.updated = false;
+         state.index += match.matches[0].length;
+      }
+      // Discard the token if requested or the callback returns null. The
+      // tokens of a match embedded as a whole take the place of its own.
+      // Tokens record how far the steps since the previous token and their
+      // own step depend on the text, relative to their start, for relex.
+      reach = Math.max(reach, end, (region && region.reach) || 0);
+      if (!rule.discard && val != null && !(region && !region.after)) {
+         var token = new Lexer.Token(tokenName(rule, match.matches[0]), val, start, state.position());
+         token._state = saved;
+         token._before = state.reach - start.offset;
+         token._reach = reach - start.offset;
+         state.reach = -1;
+         if (lexer.language) {
+            token.language = lexer.language;
+         }
+         if (rule.opens || rule.closes) {
+            token._bracket = { opens: rule.opens, closes: rule.closes };
+         }
+         tokens.push(token);
+      } else {
+         state.reach = Math.max(state.reach, reach);
+      }
+      // Keep track of the brackets that line terminators are inside of.
+      if (rule.closes && state.pairs[state.pairs.length - 1] == rule.closes) {
+         state.pairs.pop();
+      } else if (rule.opens) {
+         state.pairs.push(rule.opens);
+      }
+      if (unclosed != null) {
+         report(new Lexer.LexError(unclosed, start.line, start.column, start.offset,
+            'unclosed "{1}"'.format(unclosed)));
+      }
+      if (region) {
+         end = embed(rule, region, text, region.after ? state.position() : start, state, tokens);
+      }
+      if (indentation && tokens.length > first) {
+         indent(state, tokens, first);
+      }
+      return end;
+   };
+
+   // Lex text from startIndex onwards, appending tokens to the list. Returns
+   // the index at which lexing stopped.
+   var scan = function (text, startIndex, state, tokens, complete) {
+      while (startIndex < text.length) {
+         var next = step(text, startIndex, state, tokens, complete);
+         if (next == startIndex) { break; }
+         startIndex = next;
+      }
+      return startIndex;
+   };
+
+   // Try to recognize the text.
+   this.lex = function (text) {
+      if (!this._modes) {
+         this.compile();
+      }
+      var tokens = [], startTime = new Date();
+      var brackets = { open: [], unpaired: [], count: 0 };
+      this.errors = [];
+      var state = new State(1, 1);
+      scan(text, 0, state, tokens, true);
+      endLayout(state, tokens);
+      pairBrackets(tokens, brackets);
+      reportBrackets(brackets);
+      tokens.text = text;
+      tokens.inputFormat = inputFormat;
+      tokens.end = state.position();
+      var endTime = new Date() - startTime;
+      console.log('time:', endTime, 'ms', tokens.slice(0, 100));
+      return tokens;
+   }
+
+   // Lex a region of the input of a lexer that embeds this one. The errors
+   // and the state of this lexer are left as they were, so that a pass of
+   // its own is not disturbed; the region's errors and end state are
+   // returned with its tokens instead.
+   this._lexRegion = function (text) {
+      if (!this._modes) {
+         this.compile();
+      }
+      var tokens = [], errors = this.errors, current = this.state;
+      var brackets = { open: [], unpaired: [], count: 0 };
+      var state = new State(1, 1);
+      this.errors = [];
+      try {
+         scan(text, 0, state, tokens, true);
+         endLayout(state, tokens);
+         pairBrackets(tokens, brackets);
+         reportBrackets(brackets);
+         return { tokens: tokens, errors: this.errors, state: state };
+      } finally {
+         this.errors = errors;
+         this.state = current;
+      }
+   };
+
+   // Lex the input of a previous result again after an edit, given as the
+   // start offset, the number of characters deleted there and the text
+   // inserted in their place. Lexing restarts at the last token before the
+   // edit such that no match before it may have looked at the edited text,
+   // and stops as soon as a token after the edit has the same content and
+   // state as the token of the previous result at the same place: from there
+   // on the previous tokens are reused with their positions shifted.
+   // Only errors from the part lexed again are collected, besides those about
+   // unbalanced brackets anywhere in the input.
+   this.relex = function (previous, edit) {
+      if (!this._modes) {
+         this.compile();
+      }
+      var text = previous && previous.text;
+      if (typeof(text) != 'string' || !edit || typeof(edit.text) != 'string' ||
+            !(edit.start >= 0) || !(edit.deleted >= 0) ||
+            edit.start + edit.deleted > text.length) {
+         throw new Lexer.ValidationError(null, 'invalid edit');
+      }
+      var newText = text.slice(0, edit.start) + edit.text +
+         text.slice(edit.start + edit.deleted);
+      var delta = edit.text.length - edit.deleted;
+      var editEnd = edit.start + edit.text.length;
+      // A token can be lexed again from if no step before its own depends on
+      // the edited text. Embedded tokens belong to another lexer, so restart
+      // at a token of this one; -1 starts over from the beginning.
+      var restart = -1, furthest = -1;
+      for (var i = 0; i < previous.length && previous[i].start.offset <= edit.start; ++i) {
+         var token = previous[i];
+         if (!token._state) {
+            continue;
+         }
+         furthest = Math.max(furthest, token.start.offset + token._before);
+         if (furthest >= edit.start) {
+            break;
+         }
+         restart = i;
+         furthest = Math.max(furthest, token.start.offset + token._reach);
+         if (furthest >= edit.start) {
+            break;
+         }
+      }
+      var state = new State(1, 1), index = 0, old = previous[restart];
+      if (old && old._state && old.start.offset <= edit.start) {
+         state.line = old.start.line;
+         state.offset = old.start.column;
+         state.index = index = old.start.offset;
+         state.restore(old._state);
+         // The first token of a line starts where its indentation does.
+         if (state.pending) {
+            var start = state.pending.start;
+            state.line = start.line;
+            state.offset = start.column;
+            state.index = index = start.offset;
+            state.lineStart = true;
+            state.pending = null;
+         }
+      } else {
+         restart = 0;
+      }
+      var tokens = previous.slice(0, restart), j = restart;
+      // The indentation of a line is put in front of its first token again.
+      for (var last = tokens[tokens.length - 1]; last && last._layout && last.name != 'NEWLINE';
+            last = tokens[tokens.length - 1]) {
+         tokens.pop();
+      }
+      // Brackets are paired over the whole result, on copies of the tokens
+      // taken from the previous one.
+      var finish = function (tokens, end) {
+         var brackets = { open: [], unpaired: [], count: 0 };
+         for (var i = 0; i < tokens.length; ++i) {
+            if (tokens[i]._bracket) {
+               tokens[i] = tokens[i].shift(0, 0, 0, 0);
+            }
+         }
+         pairBrackets(tokens, brackets);
+         reportBrackets(brackets);
+         tokens.text = newText;
+         tokens.inputFormat = inputFormat;
+         tokens.end = end;
+         return tokens;
+      };
+      this.errors = [];
+      while (index < newText.length) {
+         var count = tokens.length;
+         index = step(newText, index, state, tokens, true);
+         for (var i = count; i < tokens.length; ++i) {
+            var token = tokens[i];
+            if (token.start.offset < editEnd) { continue; }
+            while (j < previous.length && previous[j].start.offset < token.start.offset - delta) {
+               ++j;
+            }
+            old = previous[j];
+            if (old && old._state && old.start.offset == token.start.offset - delta &&
+                  old.name == token.name && old.content === token.content &&
+                  JSON.stringify(old._state) == JSON.stringify(token._state)) {
+               var lines = token.start.line - old.start.line;
+               var columns = token.start.column - old.start.column;
+               for (tokens.length = i; j < previous.length; ++j) {
+                  tokens.push(previous[j].shift(delta, lines, columns, old.start.line));
+               }
+               var end = previous.end;
+               return finish(tokens, end && { offset: end.offset + delta, line: end.line + lines,
+                  column: end.column + (end.line == old.start.line ? columns : 0) });
+            }
+         }
+      }
+      endLayout(state, tokens);
+      return finish(tokens, state.position());
+   };
+
+   // Lex the text lazily, returning an iterator over its tokens. The iterator
+   // follows the ES iterator protocol and also offers peek(n), which returns
+   // the n-th upcoming token (the next one by default) or null at the end of
+   // the input without consuming anything. No text beyond the tokens taken or
+   // peeked at is ever looked at.
+   this.tokenize = function (text) {
+      if (!this._modes) {
+         this.compile();
+      }
+      var index = 0, state = new State(1, 1), queue = [];
+      var brackets = { open: [], unpaired: [], count: 0 }, reported = false;
+      this.errors = [];
+      // Lex until the queue holds n tokens or the input is exhausted.
+      var fill = function (n) {
+         while (queue.length < n && index < text.length) {
+            var count = queue.length;
+            index = step(text, index, state, queue, true);
+            if (index >= text.length) {
+               endLayout(state, queue);
+            }
+            pairBrackets(queue.slice(count), brackets);
+         }
+         if (index >= text.length && !reported) {
+            reported = true;
+            reportBrackets(brackets);
+         }
+         return queue.length >= n;
+      };
+      var iterator = {
+         state: state,
+         next: function () {
+            return fill(1) ? { value: queue.shift(), done: false } :
+               { value: undefined, done: true };
+         },
+         peek: function (n) {
+            n = n || 1;
+            return fill(n) ? queue[n - 1] : null;
+         }
+      };
+      if (typeof(Symbol) != 'undefined' && Symbol.iterator) {
+         iterator[Symbol.iterator] = function () { return this; };
+      }
+      return iterator;
+   };
+
+   // Lex the next chunk of a streamed input. Returns the tokens that can no
+   // longer change; the rest of the chunk is kept until the next call to
+   // feed() or end().
+   // Opening brackets get their partner once it has been lexed.
+   this.feed = function (chunk) {
+      if (!this._modes) {
+         this.compile();
+      }
+      if (!this._stream) {
+         this._stream = { buffer: '', index: 0, state: new State(1, 1),
+            brackets: { open: [], unpaired: [], count: 0 } };
+         this.errors = [];
+      }
+      // Drop the text that has already been lexed, but keep the character in
+      // front of the next token so that anchors like ^ and \b still see it.
+      var stream = this._stream, tokens = [], keep = Math.min(stream.index, 1);
+      stream.buffer = stream.buffer.slice(stream.index - keep) + chunk;
+      stream.index = scan(stream.buffer, keep, stream.state, tokens, false);
+      pairBrackets(tokens, stream.brackets);
+      return tokens;
+   };
+
+   // Finish a streamed input, returning the tokens still held back by feed().
+   this.end = function () {
+      var stream = this._stream, tokens = [];
+      if (stream) {
+         scan(stream.buffer, stream.index, stream.state, tokens, true);
+         endLayout(stream.state, tokens);
+         pairBrackets(tokens, stream.brackets);
+         reportBrackets(stream.brackets);
+         this._stream = null;
+      }
+      return tokens;
+   };
+};
+
+/**
+ * Generate the source of a standalone JavaScript module that lexes the same
+ * language as new Lexer(rules, options), without loading lexer.js at
+ * runtime. The module holds the compiled regexes and the rule table, so
+ * nothing is compiled when it loads. It works as a CommonJS module, an AMD
+ * module or a plain script defining a global, and exposes lex(text), errors
+ * and an onError property.
+ *
+ * Callbacks are copied from their source, so they must not use variables
+ * from the scope they were defined in. Native and bound functions, and other
+ * functions whose source cannot be copied, throw a Lexer.ValidationError.
+ * Tokens and errors are plain objects with the same fields as Lexer.Token
+ * and Lexer.LexError. The dfa engine is not supported.
+ *
+ * @param rules [Array] - the rules of the language, as for Lexer.
+ * @param options [Object, optional] - the options of Lexer, plus:
+ *    name [String] - the global defined when the module is loaded as a
+ *       script. Defaults to 'lexer'.
+ */
+Lexer.generate = function (rules, options) {
+   options = options || {};
+   if (options.engine == 'dfa') {
+      throw new Lexer.ValidationError(null, 'cannot generate code for the dfa engine');
+   } else if (options.indentation) {
+      throw new Lexer.ValidationError(null, 'cannot generate code for indentation');
+   }
+   var lexer = new Lexer(rules, options);
+   lexer.compile();
+   for (var i = 0; i < lexer._rules.length; ++i) {
+      if (lexer._rules[i].embed) {
+         throw new Lexer.ValidationError(lexer._rules[i].name, 'cannot generate code for embedded lexers');
+      } else if (lexer._rules[i].nest || lexer._rules[i].opens || lexer._rules[i].closes) {
+         throw new Lexer.ValidationError(lexer._rules[i].name, 'cannot generate code for delimiters');
+      }
+   }
+
+   // Copy the source of a callback, checking that it is a function expression.
+   var inline = function (rule) {
+      var source = String(rule.callback);
+      try {
+         if (/\[native code\]\s*\}$/.test(source) || !(new Function('return (' + source + ');'))()) {
+            throw source;
+         }
+      } catch (e) {
+         throw new Lexer.ValidationError(rule.name, 'cannot inline callback "{1}"'.format(source));
+      }
+      return source;
+   };
+   var ruleTable = [];
+   for (var i = 0; i < lexer._rules.length; ++i) {
+      var rule = lexer._rules[i], fields = [
+         'name: ' + JSON.stringify(rule.name),
+         'source: ' + JSON.stringify(rule.source),
+         'captures: ' + rule.numCaptures()
+      ];
+      if (rule.callback) {
+         fields.push('callback: ' + inline(rule));
+      }
+      if (rule.discard) {
+         fields.push('discard: true');
+      }
+      if (rule.push) {
+         fields.push('push: ' + JSON.stringify(rule.push));
+      }
+      if (rule.pop) {
+         fields.push('pop: true');
+      }
+      if (rule.groupNames) {
+         fields.push('groupNames: ' + JSON.stringify(rule.groupNames));
+      }
+      if (rule.keywords) {
+         fields.push('keywords: ' + JSON.stringify(rule.keywords));
+         fields.push('ignoreCase: ' + rule.keywordsIgnoreCase);
+      }
+      ruleTable.push('      { ' + fields.join(', ') + ' }');
+   }
+   var modeTable = [];
+   for (var name in lexer._modes) {
+      var mode = lexer._modes[name];
+      modeTable.push('      ' + name + ': { source: ' + JSON.stringify(mode.regex.source) +
+         ', rules: [' + mode.rules.map(function (rule) {
+            return lexer._rules.indexOf(rule);
+         }).join(', ') + '] }');
+   }
+   var settings = {
+      longest: options.matching == 'longest',
+      html: lexer._html,
+      unicode: lexer._unicode,
+      inputFormat: lexer._html ? 'html-escaped' : 'text',
+      lineTerminators: lexer._lineRegex ? lexer._lineRegex.source : null,
+      strict: !!options.strict,
+      units: options.units || 'code-units'
+   };
+   var name = options.name || 'lexer';
+   return [
+      '// Generated by jslexer. Do not edit.',
+      '(function (root, factory) {',
+      '   if (typeof(module) == \'object\' && module.exports) {',
+      '      module.exports = factory();',
+      '   } else if (typeof(define) == \'function\' && define.amd) {',
+      '      define([], factory);',
+      '   } else {',
+      '      root[' + JSON.stringify(name) + '] = factory();',
+      '   }',
+      '})(this, function () {',
+      '   var rules = [',
+      ruleTable.join(',\n'),
+      '   ];',
+      '   var modes = {',
+      modeTable.join(',\n'),
+      '   };',
+      '   var settings = ' + JSON.stringify(settings) + ';',
+      '   settings.decodeHTML = ' + String(Lexer.decodeHTML) + ';',
+      '   settings.measure = ' + String(Lexer.measure) + ';',
+      '   return (' + String(Lexer.generate.runtime) + ')(rules, modes, settings);',
+      '});',
+      ''
+   ].join('\n');
+};
+
+/**
+ * Restore a lexer from the output of serialize(), without compiling its
+ * rules again.
+ *
+ * @param json [String] - the output of serialize(), or the object it holds.
+ * @param options [Object, optional] - options that replace the serialized
+ *    ones, such as onError and the actions that callbacks refer to.
+ */
+Lexer.deserialize = function (json, options) {
+   var data = (typeof(json) == 'string') ? JSON.parse(json) : json;
+   if (!data || data.version != 1) {
+      throw new Lexer.ValidationError(null, 'unsupported serialized lexer');
+   }
+   var settings = {};
+   for (var key in data.options) {
+      settings[key] = data.options[key];
+   }
+   for (var key in options || {}) {
+      settings[key] = options[key];
+   }
+   var rules = data.definitions.map(function (definition) {
+      var rule = {};
+      for (var key in definition) {
+         if (key != 'regex' && key != 'flags' && definition[key] != null) {
+            rule[key] = definition[key];
+         }
+      }
+      if (definition.regex != null) {
+         rule.pattern = new RegExp(definition.regex, definition.flags || '');
+      }
+      if (definition.nest && definition.nest.regex != null) {
+         rule.nest = { close: new RegExp(definition.nest.regex) };
+      }
+      return rule;
+   });
+   var lexer = new Lexer(rules, settings);
+   lexer._restore(data);
+   return lexer;
+};
+
+// The lexing loop of modules written by Lexer.generate, which copies it from
+// its source. It mirrors the lexer without streaming and must not refer to
+// anything outside of itself, String.prototype.format included.
+Lexer.generate.runtime = function (rules, modes, settings) {
+   var sticky = function (source) {
+      var flags = settings.unicode ? 'u' : '';
+      try {
+         return new RegExp(source, 'gmy' + flags);
+      } catch (e) {  // The sticky flag is not supported everywhere.
+         return new RegExp(source, 'gm' + flags);
+      }
+   };
+   for (var i = 0; i < rules.length; ++i) {
+      rules[i].regex = sticky(rules[i].source);
+   }
+   for (var name in modes) {
+      modes[name].regex = new RegExp(modes[name].source, settings.unicode ? 'gmu' : 'gm');
+      modes[name].sticky = sticky(modes[name].source);
+      modes[name].rules = modes[name].rules.map(function (i) { return rules[i]; });
+   }
+   var lineRegex = settings.lineTerminators ? new RegExp(settings.lineTerminators, 'g') : null;
+   var lexer = { errors: [], onError: null };
+
+   var State = function () {
+      this.line = 1;
+      this.offset = 1;
+      this.index = 0;
+      this.updated = false;
+      this.modes = ['INITIAL'];
+      var checkMode = function (name) {
+         if (!modes.hasOwnProperty(name)) {
+            throw new Error('unknown mode "' + name + '"');
+         }
+      };
+      this.position = function () {
+         return { offset: this.index, line: this.line, column: this.offset };
+      };
+      this.currentMode = function () {
+         return this.modes[this.modes.length - 1];
+      };
+      this.pushMode = function (name) {
+         checkMode(name);
+         this.modes.push(name);
+      };
+      this.popMode = function () {
+         if (this.modes.length == 1) {
+            throw new Error('cannot pop the initial mode');
+         }
+         return this.modes.pop();
+      };
+      this.replaceMode = function (name) {
+         checkMode(name);
+         this.modes[this.modes.length - 1] = name;
+      };
+   };
+
+   var matchAt = function (regex, text, index) {
+      regex.lastIndex = index;
+      var match = regex.exec(text);
+      return (match && match.index == index) ? match : null;
+   };
+
+   var nextMatch = function (mode, text, index) {
+      var match = matchAt(mode.sticky, text, index);
+      if (!match || match[0].length == 0) {
+         mode.regex.lastIndex = index;
+         while ((match = mode.regex.exec(text)) && match[0].length == 0) {
+            mode.regex.lastIndex = match.index + 1;
+         }
+      }
+      if (!match) {
+         return null;
+      }
+      for (var i = 0, captureIndex = 1; i < mode.rules.length; ++i) {
+         if (match.slice(captureIndex, captureIndex + mode.rules[i].captures + 1).some(Boolean)) {
+            break;
+         }
+         captureIndex += mode.rules[i].captures + 1;
+      }
+      var result = {
+         rule: mode.rules[i],
+         index: match.index,
+         matches: match.slice(captureIndex, captureIndex + mode.rules[i].captures + 1)
+      };
+      for (++i; settings.longest && i < mode.rules.length; ++i) {
+         var longer = matchAt(mode.rules[i].regex, text, result.index);
+         if (longer && longer[0].length > result.matches[0].length) {
+            result.rule = mode.rules[i];
+            result.matches = longer;
+         }
+      }
+      return result;
+   };
+
+   var advance = function (state, span) {
+      var lineStart = -1, match;
+      if (lineRegex) {
+         lineRegex.lastIndex = 0;
+         while ((match = lineRegex.exec(span))) {
+            state.line += 1;
+            lineStart = match.index + match[0].length;
+         }
+      }
+      state.offset = (lineStart < 0) ? state.offset + settings.measure(span, settings.units) :
+         1 + settings.measure(span.slice(lineStart), settings.units);
+      state.index += span.length;
+   };
+
+   var report = function (text, state) {
+      var error = {
+         name: 'Lexer.LexError',
+         message: 'skipped unexpected characters "' + text + '"',
+         text: text, line: state.line, column: state.offset, offset: state.index,
+         toString: function () {
+            return 'Lex Error: ' + this.line + ':' + this.column + ': ' + this.message;
+         }
+      };
+      lexer.errors.push(error);
+      if (lexer.onError) {
+         lexer.onError.call(lexer, error);
+      }
+      if (settings.strict) {
+         throw error;
+      }
+   };
+
+   lexer.lex = function (text) {
+      var tokens = [], state = new State(), index = 0;
+      lexer.errors = [];
+      while (index < text.length) {
+         var match = nextMatch(modes[state.currentMode()], text, index);
+         var matchIndex = match ? match.index : text.length;
+         if (matchIndex > index) {
+            report(text.slice(index, matchIndex), state);
+            advance(state, text.slice(index, matchIndex));
+         }
+         if (!match) {
+            break;
+         }
+         var rule = match.rule, val = match.matches[0], start = state.position();
+         if (rule.groupNames) {
+            match.matches.groups = {};
+            for (var name in rule.groupNames) {
+               match.matches.groups[name] = match.matches[rule.groupNames[name]];
+            }
+         }
+         if (rule.callback) {
+            val = rule.callback.call(rule, match.matches, state);
+         }
+         if (settings.html && typeof(val) == 'string') {
+            val = settings.decodeHTML(val);
+         }
+         if (rule.pop) {
+            state.popMode();
+         }
+         if (rule.push) {
+            state.pushMode(rule.push);
+         }
+         if (!state.updated) {
+            advance(state, match.matches[0]);
+         } else {
+            state.updated = false;
+            state.index += match.matches[0].length;
+         }
+         if (!rule.discard && val != null) {
+            var end = state.position(), name = rule.name, word = match.matches[0];
+            word = rule.ignoreCase ? word.toLowerCase() : word;
+            if (rule.keywords && rule.keywords.hasOwnProperty(word)) {
+               name = rule.keywords[word];
+            }
+            tokens.push({
+               name: name, content: val, start: start, end: end,
+               length: end.offset - start.offset,
+               position: { line: start.line, column: start.column },
+               toString: function () { return this.name; }
+            });
+         }
+         index = matchIndex + match.matches[0].length;
+      }
+      tokens.text = text;
+      tokens.inputFormat = settings.inputFormat;
+      tokens.end = state.position();
+      return tokens;
+   };
+   return lexer;
+};
+
+// Escape a string so that it matches itself when used as a regex.
+Lexer.escape = function (text) {
+   return text.replace(/[-.*+?^$|()\[\]{}\\\/]/g, '\\$&');
+};
+
+// Escape text for use in HTML markup.
+Lexer.escapeHTML = function (text) {
+   return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+};
+
+/**
+ * Render a list of tokens as HTML, wrapping each token in a span. The class
+ * of the span is derived from the rule name: SOME_RULE becomes
+ * "lex-some-rule". The text between tokens, such as discarded whitespace and
+ * line breaks, is copied as well, so that the layout of the input is kept.
+ *
+ * @param tokens [Array] - the tokens, as returned by Lexer::lex.
+ * @param options [Object, optional] - settings for the rendering:
+ *    classNames [Object|Function] - the class to use for each rule name, or
+ *       a function returning the class of a token. An empty class leaves
+ *       the token unwrapped.
+ *    prefix [String] - the prefix of derived class names. Defaults to 'lex-'.
+ *    text [String] - the input the tokens were read from. Defaults to
+ *       tokens.text; without it only the tokens themselves are rendered.
+ *    inputFormat [String] - the format of the input, as for the Lexer.
+ *       Defaults to tokens.inputFormat. HTML-escaped input is copied as is,
+ *       anything else is escaped.
+ */
+Lexer.renderHTML = function (tokens, options) {
+   options = options || {};
+   var text = (options.text != null) ? options.text : tokens.text;
+   var format = options.inputFormat || tokens.inputFormat;
+   var prefix = (options.prefix != null) ? options.prefix : 'lex-';
+   var classNames = options.classNames || {};
+   // Return the markup for a slice of the input.
+   var source = function (start, end) {
+      var slice = text.slice(start, end);
+      return (format == 'html-escaped') ? slice : Lexer.escapeHTML(slice);
+   };
+   var html = '', index = 0;
+   for (var i = 0; i < tokens.length; ++i) {
+      var token = tokens[i], className, content;
+      if (classNames instanceof Function) {
+         className = classNames(token);
+      } else if (classNames.hasOwnProperty(token.name)) {
+         className = classNames[token.name];
+      } else {
+         className = prefix + token.name.toLowerCase().replace(/_/g, '-');
+      }
+      if (text != null) {
+         if (token.start.offset > index) {
+            html += source(index, token.start.offset);
+         }
+         content = source(token.start.offset, token.end.offset);
+         index = Math.max(index, token.end.offset);
+      } else {
+         content = Lexer.escapeHTML(token.content);
+      }
+      html += className ?
+         '<span class="' + Lexer.escapeHTML(className) + '">' + content + '</span>' : content;
+   }
+   if (text != null && index < text.length) {
+      html += source(index, text.length);
+   }
+   return html;
+};
+
+// Decode the entities of HTML-escaped text.
+Lexer.decodeHTML = function (text) {
+   var entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0' };
+   return text.replace(/&(?:#(\d+)|#x([\da-f]+)|(\w+));/gi, function (match, dec, hex, name) {
+      if (dec || hex) {
+         var code = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+         if (code > 0x10ffff) {
+            return match;
+         }
+         return String.fromCodePoint ? String.fromCodePoint(code) : String.fromCharCode(code);
+      }
+      return entities.hasOwnProperty(name) ? entities[name] : match;
+   });
+};
+
+// The callbacks that rules can name instead of giving a function. Register
+// callbacks here to serialize lexers that use them.
+Lexer.actions = {
+   // Start a new line at an HTML line break.
+   htmlBreak: function (captures, lexState) {
+      lexState.line += 1;
+      lexState.offset = 1;
+      lexState.updated = true;
+      return null;
+   }
+};
+
+/**
+ * Return the length of text in the given units: 'code-units' (UTF-16, as in
+ * text.length), 'code-points', or 'graphemes'. Graphemes are counted with
+ * Intl.Segmenter where it exists; elsewhere combining marks, variation
+ * selectors, emoji modifiers and characters joined by a zero width joiner
+ * count along with the character before them.
+ *
+ * @param text [String] - the text to measure.
+ * @param units [String] - the units to count.
+ */
+Lexer.measure = function (text, units) {
+   if (units == 'code-units' || !/[^\x00-\x7f]/.test(text)) {
+      return text.length;
+   }
+   if (units == 'graphemes' && typeof(Intl) != 'undefined' && Intl.Segmenter) {
+      var count = 0, segments = new Intl.Segmenter().segment(text);
+      for (var it = segments[Symbol.iterator](); !it.next().done;) {
+         ++count;
+      }
+      return count;
+   } else if (units == 'graphemes') {
+      text = text.replace(/[\u0300-\u036f\u0483-\u0489\u0591-\u05bd\u0610-\u061a\u064b-\u065f\u1ab0-\u1aff\u1dc0-\u1dff\u20d0-\u20ff\ufe00-\ufe0f\ufe20-\ufe2f]|\ud83c[\udffb-\udfff]|\u200d(?:[\ud800-\udbff][\udc00-\udfff]|[^\ud800-\udfff])?/g, '');
+   }
+   var pairs = text.match(/[\ud800-\udbff][\udc00-\udfff]/g);
+   return text.length - (pairs ? pairs.length : 0);
+};
+
+// Test whether a string is usable as a mode name.
+Lexer.isModeName = function (name) {
+   return typeof(name) == 'string' && /^[A-Za-z_]\w*$/.test(name);
+};
+
+// Default rules separate whitespace from non-whitespace.
+Lexer.Languages = {
+   'default': [
+      { name: 'WHITESPACE', pattern: /\s+/, discard: true },
+      { name: 'WORD', pattern: /\w+|./ }
+   ]
+};
+
+/**
+ * Create a new language from an existing one. The rules of the base language
+ * are copied, so neither the base nor its rules change, and the result is a
+ * plain list of rules that can be extended in turn. Rules are referred to by
+ * their names in the base language; changes are applied in the order below.
+ *
+ * @param base [Array|String] - the rules of the base language, or the name
+ *    of a language in Lexer.Languages.
+ * @param changes [Object] - the changes to make:
+ *    remove [Array] - the names of the rules to drop.
+ *    replace [Object] - a rule, or a list of rules, to put in place of the
+ *       rule with each name.
+ *    before [Object] - a rule, or a list of rules, to insert before the rule
+ *       with each name.
+ *    after [Object] - the same, inserted after the rule.
+ *    append [Array] - rules to add at the end.
+ *    rename [Object] - new names for token types, which apply to the names
+ *       of rules and to the token names in their keywords.
+ */
+Lexer.extend = function (base, changes) {
+   changes = changes || {};
+   var rules = (typeof(base) == 'string') ? Lexer.Languages[base] : base;
+   if (!(rules instanceof Array) || (typeof(base) == 'string' &&
+         !Lexer.Languages.hasOwnProperty(base))) {
+      throw new Lexer.ValidationError(null, 'unknown language "{1}"'.format(base));
+   }
+   var copy = function (rule) {
+      var result = {};
+      for (var key in rule) {
+         if (rule.hasOwnProperty(key)) {
+            result[key] = rule[key];
+         }
+      }
+      return result;
+   };
+   var list = function (rules) {
+      return ((rules instanceof Array) ? rules : [rules]).map(copy);
+   };
+   // Each slot holds the rules that take the place of one base rule.
+   var slots = rules.map(function (rule) {
+      return { name: rule.name, before: [], rules: [copy(rule)], after: [] };
+   });
+   var find = function (name) {
+      for (var i = 0; i < slots.length; ++i) {
+         if (slots[i].name === name) {
+            return slots[i];
+         }
+      }
+      throw new Lexer.ValidationError(name, 'not found in the base language');
+   };
+   (changes.remove || []).forEach(function (name) {
+      find(name).rules = [];
+   });
+   ['replace', 'before', 'after'].forEach(function (change) {
+      for (var name in changes[change] || {}) {
+         if (changes[change].hasOwnProperty(name)) {
+            var slot = find(name), added = list(changes[change][name]);
+            if (change == 'replace') {
+               slot.rules = added;
+            } else {
+               slot[change] = slot[change].concat(added);
+            }
+         }
+      }
+   });
+   var result = [];
+   slots.forEach(function (slot) {
+      result = result.concat(slot.before, slot.rules, slot.after);
+   });
+   result = result.concat(list(changes.append || []));
+   var rename = changes.rename || {};
+   var renamed = function (name) {
+      return rename.hasOwnProperty(name) ? rename[name] : name;
+   };
+   result.forEach(function (rule) {
+      rule.name = renamed(rule.name);
+      if (rule.keywords && !(rule.keywords instanceof Array)) {
+         var keywords = {};
+         for (var word in rule.keywords) {
+            if (rule.keywords.hasOwnProperty(word)) {
+               keywords[word] = renamed(rule.keywords[word]);
+            }
+         }
+         rule.keywords = keywords;
+      } else if (rule.keywords && rule.keywords.some(function (word) {
+            return rename.hasOwnProperty(word.toUpperCase());
+         })) {
+         // Keywords in a list are named after themselves, so renaming one
+         // takes a map.
+         var map = {};
+         rule.keywords.forEach(function (word) {
+            map[word] = renamed(word.toUpperCase());
+         });
+         rule.keywords = map;
+      }
+   });
+   return result;
+};
+
+/**
+ * Represents a token, along with the range of the input it was read from.
+ *
+ * @param name [String] - the name of the rule that matched the token.
+ * @param content [Object] - the matched text, or the value returned by the
+ *    rule's callback.
+ * @param start [Object] - the position of the first character of the token,
+ *    as {offset, line, column}. The offset is the index into the input.
+ * @param end [Object] - the position just past the last character.
+ */
+Lexer.Token = function (name, content, start, end) {
+   this.name = name;
+   this.content = content;
+   this.start = start;
+   this.end = end;
+   // The length of the input matched, whatever the content turned into.
+   this.length = end.offset - start.offset;
+   this.position = { line: start.line, column: start.column };
+
+   // Return a copy of this token moved by a number of characters and lines.
+   // Columns only move for the parts of the token that lie on the given line,
+   // which is where the edit that moved the token ended.
+   this.shift = function (offset, lines, columns, line) {
+      var move = function (p) {
+         return { offset: p.offset + offset, line: p.line + lines,
+            column: p.column + (p.line == line ? columns : 0) };
+      };
+      var token = new Lexer.Token(this.name, this.content, move(this.start), move(this.end));
+      for (var key in this) {
+         if (this.hasOwnProperty(key) && !token.hasOwnProperty(key)) {
+            token[key] = this[key];
+         }
+      }
+      return token;
+   };
+
+   this.toString = function () {
+      return this.name;
+   }
+}
+
+/**
+ * A cursor over a list of tokens for parsers to read from. Reading past the
+ * last token gives an end-of-input token, whose name Lexer.TokenStream.EOF
+ * is no rule's, as many times as it is asked for. It is placed at the end of
+ * the input when that is known, as it is for the tokens of lex() and
+ * tokenize(), and where the last token ends otherwise.
+ *
+ * @param tokens [Array|Object] - the tokens returned by lex(), or an iterator
+ *    over tokens such as the one returned by tokenize(). Tokens are only
+ *    taken from an iterator as they are needed.
+ */
+Lexer.TokenStream = function (tokens) {
+   var buffer = [], index = 0, eof = null, end = tokens.end;
+   var source = (tokens instanceof Array) ? null : tokens;
+   if (!source) {
+      buffer = tokens.slice();
+   }
+
+   // Make sure the buffer holds n tokens past the cursor, or the end token.
+   var fill = function (n) {
+      while (source && buffer.length < index + n) {
+         var result = source.next();
+         if (result.done) {
+            end = (source.state && source.state.position) ? source.state.position() : null;
+            source = null;
+         } else {
+            buffer.push(result.value);
+         }
+      }
+      if (!source && !eof) {
+         var last = buffer[buffer.length - 1];
+         end = end || (last ? last.end : { offset: 0, line: 1, column: 1 });
+         eof = new Lexer.Token(Lexer.TokenStream.EOF, '', end, end);
+      }
+      return index + n <= buffer.length ? buffer[index + n - 1] : eof;
+   };
+
+   // Return the k-th upcoming token (the next one by default) without
+   // consuming anything.
+   this.peek = function (k) {
+      return fill(k || 1);
+   };
+
+   // Consume and return the next token.
+   this.next = function () {
+      var token = fill(1);
+      if (token != eof) {
+         ++index;
+      }
+      return token;
+   };
+
+   // Consume and return the next token if it has the given name. Otherwise
+   // return null and leave the stream where it is.
+   this.match = function (name) {
+      return this.peek().name == name ? this.next() : null;
+   };
+
+   // Consume and return the next token, which must have the given name.
+   // Throws a Lexer.ParseError at the token if it does not.
+   this.expect = function (name) {
+      var token = this.peek();
+      if (token.name != name) {
+         var found = token == eof ? 'end of input' :
+            '{1} "{2}"'.format(token.name, token.content);
+         throw new Lexer.ParseError(token, 'expected {1} but found {2}'.format(name, found));
+      }
+      return this.next();
+   };
+
+   // Return a mark of the current position, for reset() to go back to.
+   this.mark = function () {
+      return index;
+   };
+
+   // Move the stream back, or forward, to a position returned by mark().
+   this.reset = function (mark) {
+      index = mark;
+   };
+};
+
+// The name of the token at the end of a Lexer.TokenStream. Rule names are
+// strings, so it cannot be taken for a token of the input.
+Lexer.TokenStream.EOF = null;
+
+// Get a stack trace from an exception.
+Lexer.StackTrace = function () {
+   // create a fake exception
+   try {
+      var fake = 0;
+      fake.doFake();
+   } catch (e) {
+      return e.stack;
+   }
+}
+
+/**
+ * The error reported when part of the input does not match any rule. Lexing
+ * resumes after the skipped characters unless the lexer is in strict mode.
+ *
+ * @param text [String] - the characters that were skipped.
+ * @param line [int] - the line on which the skipped characters start.
+ * @param column [int] - the column at which the skipped characters start.
+ * @param offset [int] - the offset of the skipped characters in the input.
+ * @param message [String, optional] - the message of errors about other
+ *    text than skipped characters, such as an unbalanced delimiter. Errors
+ *    about brackets also have the offending token.
+ */
+Lexer.LexError = function (text, line, column, offset, message) {
+   this.name = 'Lexer.LexError';
+   this.message = message || 'skipped unexpected characters "{1}"'.format(text);
+   this.text = text;
+   this.line = line;
+   this.column = column;
+   this.offset = offset;
+   this.stack = Lexer.StackTrace();
+
+   // Return a nicely formatted error string.
+   this.toString = function () {
+      return 'Lex Error: {1}:{2}: {3}'.format(line, column, this.message);
+   }
+}
+
+/**
+ * The error thrown when a parser reading a Lexer.TokenStream finds a token
+ * it did not expect.
+ *
+ * @param token [Lexer.Token] - the offending token.
+ * @param msg [String] - what was wrong with it.
+ */
+Lexer.ParseError = function (token, msg) {
+   this.name = 'Lexer.ParseError';
+   this.message = msg;
+   this.token = token;
+   this.line = token.start.line;
+   this.column = token.start.column;
+   this.offset = token.start.offset;
+   this.stack = Lexer.StackTrace();
+
+   // Return a nicely formatted error string.
+   this.toString = function () {
+      return 'Parse Error: {1}:{2}: {3}'.format(this.line, this.column, this.message);
+   }
+}
+
+/**
+ * The error thrown when the rules for a language are incorrectly specified.
+ * Syntax errors in a pattern also set position, the index of the offending
+ * character in the pattern's source.
+ */
+Lexer.ValidationError = function (rule, msg) {
+   this.name = 'Lexer.ValidationError';
+   this.message = msg;
+   this.rule = rule;
+   this.stack = Lexer.StackTrace();
+
+   // Return a nicely formatted error string.
+   this.toString = function () {
+      var result = 'Validation Error: ';
+      if (rule) {
+         // If the rule name is a string, surround in quotes.
+         result += 'in rule ' + (rule.indexOf ? '"' + rule + '"' : rule);
+      }
+      return result + msg;
+   }
+}
+//Lexer.ValidationError.prototype = new SyntaxError();
+
+/**
+ * Parse the source of a regular expression into a tree of nodes, following
+ * the syntax accepted by RegExp, including the web compatibility rules for
+ * patterns without the u flag. Every node records the index of its first
+ * character (start) and of the character after it (end). The node types are:
+ *    char - a set of characters, as a sorted list of [low, high] code ranges.
+ *       Classes with property escapes also list them in properties, as
+ *       objects with a name and a negate flag, and have a negate flag of
+ *       their own that the ranges do not account for.
+ *    seq, alt - a sequence or an alternation of the nodes in items.
+ *    group - a group around body; capture is the group number, or 0 for a
+ *       non-capturing group, and name the group name if it has one.
+ *    repeat - body repeated from min to max times, greedy or not.
+ *    anchor - one of ^, $, \b or \B, as kind.
+ *    look - a lookahead, or a lookbehind if behind is set, around body;
+ *       negate is set for negative ones.
+ *    backref - a backreference to the group with the given number, or to
+ *       the group with the given name.
+ *    property - a Unicode property escape (u flag only).
+ * The root node also gets the number of capture groups (captures) and a map
+ * from group names to numbers (names). Invalid patterns throw a SyntaxError
+ * whose position is the index of the offending character.
+ *
+ * @param source [String] - the source of the regular expression.
+ * @param flags [String, optional] - the flags of the expression. Only i, s
+ *    and u change the result. Case is folded as RegExp does without the u
+ *    flag, even with it.
+ */
+Lexer.parseRegex = function (source, flags) {
+   flags = flags || '';
+   var unicode = flags.indexOf('u') >= 0, ignoreCase = flags.indexOf('i') >= 0;
+   var dotAll = flags.indexOf('s') >= 0;
+   var max = unicode ? 0x10ffff : 0xffff, pos = 0, groups = 0, names = {};
+   var classes = {
+      d: [[48, 57]],
+      w: [[48, 57], [65, 90], [95, 95], [97, 122]],
+      s: [[9, 13], [32, 32], [160, 160], [0x1680, 0x1680], [0x2000, 0x200a],
+         [0x2028, 0x2029], [0x202f, 0x202f], [0x205f, 0x205f], [0x3000, 0x3000],
+         [0xfeff, 0xfeff]]
+   };
+
+   // Throw a SyntaxError pointing at a character of the source.
+   var fail = function (msg, at) {
+      at = (at != null) ? at : pos;
+      var error = new SyntaxError('{1} at character {2}'.format(msg, at + 1));
+      error.position = at;
+      throw error;
+   };
+
+   // Sort a list of ranges, merging the ones that overlap or touch.
+   var normalize = function (ranges) {
+      ranges = ranges.slice().sort(function (a, b) { return a[0] - b[0]; });
+      var result = [];
+      for (var i = 0; i < ranges.length; ++i) {
+         var last = result[result.length - 1];
+         if (last && ranges[i][0] <= last[1] + 1) {
+            last[1] = Math.max(last[1], ranges[i][1]);
+         } else {
+            result.push([ranges[i][0], ranges[i][1]]);
+         }
+      }
+      return result;
+   };
+
+   // Return every character not in a normalized list of ranges.
+   var complement = function (ranges) {
+      var result = [], low = 0;
+      for (var i = 0; i < ranges.length; ++i) {
+         if (ranges[i][0] > low) {
+            result.push([low, ranges[i][0] - 1]);
+         }
+         low = ranges[i][1] + 1;
+      }
+      if (low <= max) {
+         result.push([low, max]);
+      }
+      return result;
+   };
+
+   // Add the characters that match the given ones when ignoring case.
+   var fold = function (ranges) {
+      var table = Lexer.parseRegex.caseTable(), result = ranges.slice();
+      for (var i = 0; i < ranges.length; ++i) {
+         for (var c = ranges[i][0]; c <= Math.min(ranges[i][1], 0xffff); ++c) {
+            var variants = table.variants[table.canonical[c]];
+            for (var j = 0; variants && j < variants.length; ++j) {
+               result.push([variants[j], variants[j]]);
+            }
+         }
+      }
+      return normalize(result);
+   };
+
+   // Create a node for a set of characters, given as unsorted ranges.
+   var chars = function (ranges, start, negate) {
+      ranges = normalize(ranges);
+      ranges = ignoreCase ? fold(ranges) : ranges;
+      return { type: 'char', ranges: negate ? complement(ranges) : ranges,
+         start: start, end: pos };
+   };
+
+   // Read one character of the source, as a code point.
+   var read = function () {
+      var code = source.charCodeAt(pos++);
+      if (unicode && code >= 0xd800 && code <= 0xdbff && pos < source.length) {
+         var low = source.charCodeAt(pos);
+         if (low >= 0xdc00 && low <= 0xdfff) {
+            ++pos;
+            code = (code - 0xd800) * 0x400 + (low - 0xdc00) + 0x10000;
+         }
+      }
+      return code;
+   };
+
+   // Count the capture groups ahead of parsing, since whether \N is a
+   // backreference depends on the number of groups in the whole pattern.
+   var countGroups = function () {
+      var count = 0, inClass = false;
+      for (var i = 0; i < source.length; ++i) {
+         var c = source.charAt(i);
+         if (c == '\\') {
+            ++i;
+         } else if (c == '[') {
+            inClass = true;
+         } else if (c == ']') {
+            inClass = false;
+         } else if (c == '(' && !inClass && (source.charAt(i + 1) != '?' ||
+               /^\?<[^=!]/.test(source.slice(i + 1, i + 4)))) {
+            ++count;
+         }
+      }
+      return count;
+   };
+   var totalGroups = countGroups();
+   var namedGroups = /\(\?<[^=!]/.test(source);
+
+   // Read the escape of a single character, after the backslash.
+   var characterEscape = function (inClass) {
+      var start = pos - 1, c = source.charAt(pos), m;
+      var controls = { t: 9, n: 10, v: 11, f: 12, r: 13 };
+      if (controls.hasOwnProperty(c)) {
+         ++pos;
+         return controls[c];
+      } else if (c == 'c') {
+         m = (inClass && !unicode) ? /^c([A-Za-z0-9_])/.exec(source.slice(pos)) :
+            /^c([A-Za-z])/.exec(source.slice(pos));
+         if (m) {
+            pos += 2;
+            return m[1].charCodeAt(0) % 32;
+         } else if (unicode) {
+            fail('invalid control escape', start);
+         }
+         return 92;  // A backslash that escapes nothing.
+      } else if (c == 'x') {
+         m = /^x([0-9A-Fa-f]{2})/.exec(source.slice(pos));
+         if (m) {
+            pos += 3;
+            return parseInt(m[1], 16);
+         } else if (unicode) {
+            fail('invalid hexadecimal escape', start);
+         }
+      } else if (c == 'u') {
+         m = unicode ? /^u\{([0-9A-Fa-f]+)\}/.exec(source.slice(pos)) : null;
+         if (m && parseInt(m[1], 16) <= 0x10ffff) {
+            pos += m[0].length;
+            return parseInt(m[1], 16);
+         }
+         m = /^u([0-9A-Fa-f]{4})/.exec(source.slice(pos));
+         if (m) {
+            pos += 5;
+            var code = parseInt(m[1], 16);
+            var low = unicode && /^\\u(d[c-f][0-9a-f]{2})/i.exec(source.slice(pos));
+            if (code >= 0xd800 && code <= 0xdbff && low) {
+               pos += 6;
+               code = (code - 0xd800) * 0x400 + (parseInt(low[1], 16) - 0xdc00) + 0x10000;
+            }
+            return code;
+         } else if (unicode) {
+            fail('invalid unicode escape', start);
+         }
+      } else if (c == '0' && !/[0-9]/.test(source.charAt(pos + 1))) {
+         ++pos;
+         return 0;
+      } else if (/[0-7]/.test(c) && !unicode) {
+         m = /^(?:[0-3][0-7]{0,2}|[4-7][0-7]?)/.exec(source.slice(pos));
+         pos += m[0].length;
+         return parseInt(m[0], 8);
+      } else if (unicode && !/[\^$\\.*+?()[\]{}|\/]/.test(c) && !(inClass && c == '-')) {
+         fail('invalid escape', start);
+      }
+      return read();
+   };
+
+   // Parse an escape outside of a character class, after the backslash.
+   var parseEscape = function () {
+      var start = pos++, c = source.charAt(pos), m;
+      if (pos >= source.length) {
+         fail('\\ at end of pattern', start);
+      } else if (c == 'b' || c == 'B') {
+         ++pos;
+         return { type: 'anchor', kind: '\\' + c, start: start, end: pos };
+      } else if (classes.hasOwnProperty(c.toLowerCase())) {
+         ++pos;
+         return chars(classes[c.toLowerCase()], start, c != c.toLowerCase());
+      } else if ((c == 'p' || c == 'P') && unicode) {
+         m = /^[pP]\{([\w=]+)\}/.exec(source.slice(pos));
+         if (!m) {
+            fail('invalid property name', start);
+         }
+         pos += m[0].length;
+         return { type: 'property', name: m[1], negate: c == 'P', start: start, end: pos };
+      } else if (/[1-9]/.test(c)) {
+         m = /^\d+/.exec(source.slice(pos));
+         if (parseInt(m[0], 10) <= totalGroups) {
+            pos += m[0].length;
+            return { type: 'backref', number: parseInt(m[0], 10), start: start, end: pos };
+         } else if (unicode) {
+            fail('invalid backreference', start);
+         }
+      } else if (c == 'k' && (unicode || namedGroups)) {
+         m = /^k<([A-Za-z_$][\w$]*)>/.exec(source.slice(pos));
+         if (!m) {
+            fail('invalid named reference', start);
+         }
+         pos += m[0].length;
+         return { type: 'backref', name: m[1], start: start, end: pos };
+      }
+      var code = characterEscape(false);
+      return chars([[code, code]], start);
+   };
+
+   // Parse one element of a character class: a single character, or the set
+   // of characters of a class escape like \d.
+   var classAtom = function () {
+      var start = pos, c = source.charAt(pos);
+      if (c != '\\') {
+         var code = read();
+         return { code: code, start: start };
+      }
+      c = source.charAt(++pos);
+      if (pos >= source.length) {
+         fail('\\ at end of pattern', start);
+      } else if (classes.hasOwnProperty(c.toLowerCase())) {
+         ++pos;
+         var ranges = classes[c.toLowerCase()];
+         return { ranges: (c == c.toLowerCase()) ? ranges : complement(ranges), start: start };
+      } else if ((c == 'p' || c == 'P') && unicode) {
+         var m = /^[pP]\{([\w=]+)\}/.exec(source.slice(pos));
+         if (!m) {
+            fail('invalid property name', start);
+         }
+         pos += m[0].length;
+         return { ranges: [], properties: [{ name: m[1], negate: c == 'P' }], start: start };
+      } else if (c == 'b') {
+         ++pos;
+         return { code: 8, start: start };
+      } else if (c == '-' && unicode) {
+         ++pos;
+         return { code: 45, start: start };
+      } else if (/[89]/.test(c) && !unicode) {
+         return { code: read(), start: start };
+      }
+      return { code: characterEscape(true), start: start };
+   };
+
+   // Parse a character class, starting at its opening bracket.
+   var parseClass = function () {
+      var start = pos++, negate = false, ranges = [], properties = [];
+      if (source.charAt(pos) == '^') {
+         negate = true;
+         ++pos;
+      }
+      var add = function (atom) {
+         if (atom.ranges) {
+            ranges = ranges.concat(atom.ranges);
+            properties = properties.concat(atom.properties || []);
+         } else {
+            ranges.push([atom.code, atom.code]);
+         }
+      };
+      while (pos < source.length && source.charAt(pos) != ']') {
+         var from = classAtom();
+         if (source.charAt(pos) == '-' && pos + 1 < source.length &&
+               source.charAt(pos + 1) != ']') {
+            ++pos;
+            var to = classAtom();
+            if (from.ranges || to.ranges) {
+               if (unicode) {
+                  fail('invalid character class range', from.start);
+               }
+               add(from);
+               add({ code: 45 });
+               add(to);
+            } else if (from.code > to.code) {
+               fail('range out of order in character class', from.start);
+            } else {
+               ranges.push([from.code, to.code]);
+            }
+         } else {
+            add(from);
+         }
+      }
+      if (pos >= source.length) {
+         fail('unterminated character class', start);
+      }
+      ++pos;
+      if (properties.length) {
+         // The characters of a property are not known here, so the class
+         // keeps its negation for whoever interprets the properties.
+         var node = chars(ranges, start);
+         node.properties = properties;
+         node.negate = negate;
+         return node;
+      }
+      return chars(ranges, start, negate);
+   };
+
+   // Parse a group or lookaround, starting at its opening parenthesis.
+   var parseGroup = function () {
+      var start = pos++, node = { type: 'group', capture: 0 }, m;
+      if (source.substr(pos, 2) == '?:') {
+         pos += 2;
+      } else if (source.substr(pos, 2) == '?=' || source.substr(pos, 2) == '?!') {
+         node = { type: 'look', behind: false, negate: source.charAt(pos + 1) == '!' };
+         pos += 2;
+      } else if (source.substr(pos, 3) == '?<=' || source.substr(pos, 3) == '?<!') {
+         node = { type: 'look', behind: true, negate: source.charAt(pos + 2) == '!' };
+         pos += 3;
+      } else if (source.substr(pos, 2) == '?<') {
+         m = /^\?<([A-Za-z_$][\w$]*)>/.exec(source.slice(pos));
+         if (!m) {
+            fail('invalid group name', start);
+         } else if (names.hasOwnProperty(m[1])) {
+            fail('duplicate group name "{1}"'.format(m[1]), start);
+         }
+         node.capture = names[m[1]] = ++groups;
+         node.name = m[1];
+         pos += m[0].length;
+      } else if (source.charAt(pos) == '?') {
+         fail('invalid group', pos + 1);
+      } else {
+         node.capture = ++groups;
+      }
+      node.body = parseAlternation();
+      if (source.charAt(pos) != ')') {
+         fail('unterminated group', start);
+      }
+      node.start = start;
+      node.end = ++pos;
+      return node;
+   };
+
+   // Parse a single atom: a character, class, group, escape or anchor.
+   var parseAtom = function () {
+      var start = pos, c = source.charAt(pos);
+      if (c == '^' || c == '$') {
+         ++pos;
+         return { type: 'anchor', kind: c, start: start, end: pos };
+      } else if (c == '.') {
+         ++pos;
+         return chars(dotAll ? [[0, max]] : [[10, 10], [13, 13], [0x2028, 0x2029]], start, !dotAll);
+      } else if (c == '(') {
+         return parseGroup();
+      } else if (c == '[') {
+         return parseClass();
+      } else if (c == '\\') {
+         return parseEscape();
+      } else if (c == '*' || c == '+' || c == '?' ||
+            (c == '{' && (unicode || /^\{\d+(,\d*)?\}/.test(source.slice(pos))))) {
+         fail('nothing to repeat');
+      } else if ((c == '}' || c == ']') && unicode) {
+         fail('lone quantifier bracket');
+      }
+      var code = read();
+      return chars([[code, code]], start);
+   };
+
+   // Parse an atom and the quantifier following it, if any.
+   var parseRepeat = function () {
+      var atom = parseAtom(), c = source.charAt(pos), min, most, m;
+      if (c == '*' || c == '+' || c == '?') {
+         min = (c == '+') ? 1 : 0;
+         most = (c == '?') ? 1 : Infinity;
+         ++pos;
+      } else if (c == '{' && (m = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(pos)))) {
+         min = parseInt(m[1], 10);
+         most = !m[2] ? min : (m[3] ? parseInt(m[3], 10) : Infinity);
+         if (most < min) {
+            fail('numbers out of order in quantifier');
+         }
+         pos += m[0].length;
+      } else {
+         return atom;
+      }
+      if (atom.type == 'anchor' || (atom.type == 'look' && (unicode || atom.behind))) {
+         fail('nothing to repeat', atom.end);
+      }
+      var greedy = (source.charAt(pos) != '?');
+      if (!greedy) {
+         ++pos;
+      }
+      return { type: 'repeat', min: min, max: most, greedy: greedy, body: atom,
+         start: atom.start, end: pos };
+   };
+
+   // Parse a sequence of atoms, up to the next | or closing parenthesis.
+   var parseSequence = function () {
+      var start = pos, items = [];
+      while (pos < source.length && source.charAt(pos) != '|' && source.charAt(pos) != ')') {
+         items.push(parseRepeat());
+      }
+      return { type: 'seq', items: items, start: start, end: pos };
+   };
+
+   // Parse alternatives separated by |.
+   var parseAlternation = function () {
+      var start = pos, items = [parseSequence()];
+      while (source.charAt(pos) == '|') {
+         ++pos;
+         items.push(parseSequence());
+      }
+      return (items.length == 1) ? items[0] :
+         { type: 'alt', items: items, start: start, end: pos };
+   };
+
+   var tree = parseAlternation();
+   if (pos < source.length) {
+      fail('unmatched parenthesis');
+   }
+   // Named references may come before the group they refer to.
+   var resolve = function (node) {
+      if (node.type == 'backref' && node.name != null) {
+         if (!names.hasOwnProperty(node.name)) {
+            fail('undefined group name "{1}"'.format(node.name), node.start);
+         }
+         node.number = names[node.name];
+      }
+      var children = node.items || (node.body ? [node.body] : []);
+      for (var i = 0; i < children.length; ++i) {
+         resolve(children[i]);
+      }
+   };
+   resolve(tree);
+   tree.captures = groups;
+   tree.names = names;
+   return tree;
+};
+
+// Return the tables used to ignore case: the canonical character of every
+// character (as RegExp without the u flag defines it), and the characters
+// sharing each canonical character. They are built on first use.
+Lexer.parseRegex.caseTable = function () {
+   if (!Lexer.parseRegex._caseTable) {
+      var canonical = [], variants = {};
+      for (var c = 0; c <= 0xffff; ++c) {
+         var upper = String.fromCharCode(c).toUpperCase(), u = c;
+         if (upper.length == 1 && !(c >= 128 && upper.charCodeAt(0) < 128)) {
+            u = upper.charCodeAt(0);
+         }
+         canonical.push(u);
+         (variants[u] = variants[u] || []).push(c);
+      }
+      Lexer.parseRegex._caseTable = { canonical: canonical, variants: variants };
+   }
+   return Lexer.parseRegex._caseTable;
+};
+
+/**
+ * Write a tree from Lexer.parseRegex back as the source of a regular
+ * expression that needs no flags besides the u flag, if the tree was parsed
+ * with it: case-insensitive and dotAll matching are already spelled out in the
+ * character sets of the tree. Backreferences are wrapped in (?:) so that a
+ * digit after them cannot change their number.
+ *
+ * @param tree [Object] - the tree of the expression.
+ * @param unicode [boolean, optional] - whether the source is for a regex with
+ *    the u flag.
+ */
+Lexer.printRegex = function (tree, unicode) {
+   var max = unicode ? 0x10ffff : 0xffff;
+   var hex = function (code, digits) {
+      var text = code.toString(16);
+      while (text.length < digits) {
+         text = '0' + text;
+      }
+      return text;
+   };
+   var character = function (code, inClass) {
+      if (code > 0xffff) {
+         return '\\u{' + hex(code, 1) + '}';
+      } else if (code < 0x20 || code > 0x7e) {
+         return '\\u' + hex(code, 4);
+      }
+      var c = String.fromCharCode(code);
+      return (inClass ? /[\\\]\[^-]/ : /[\\^$.*+?()\[\]{}|\/]/).test(c) ? '\\' + c : c;
+   };
+   var set = function (ranges) {
+      return ranges.map(function (range) {
+         return character(range[0], true) + (range[1] == range[0] ? '' :
+            (range[1] > range[0] + 1 ? '-' : '') + character(range[1], true));
+      }).join('');
+   };
+   var print = function (node) {
+      var ranges = node.ranges;
+      switch (node.type) {
+         case 'char':
+            if (node.properties) {
+               return '[' + (node.negate ? '^' : '') + set(ranges) + node.properties.map(function (p) {
+                  return '\\' + (p.negate ? 'P' : 'p') + '{' + p.name + '}';
+               }).join('') + ']';
+            } else if (ranges.length == 1 && ranges[0][0] == ranges[0][1]) {
+               return character(ranges[0][0], false);
+            } else if (ranges.length > 0 && ranges[0][0] == 0 && ranges[ranges.length - 1][1] == max) {
+               // Write sets covering most characters as negated classes.
+               var missing = [];
+               for (var i = 1; i < ranges.length; ++i) {
+                  missing.push([ranges[i - 1][1] + 1, ranges[i][0] - 1]);
+               }
+               return '[^' + set(missing) + ']';
+            }
+            return '[' + set(ranges) + ']';
+         case 'seq':
+            return node.items.map(print).join('');
+         case 'alt':
+            return node.items.map(print).join('|');
+         case 'group':
+            return (node.name != null ? '(?<' + node.name + '>' : node.capture ? '(' : '(?:') +
+               print(node.body) + ')';
+         case 'repeat':
+            var body = print(node.body), suffix;
+            if (node.body.type == 'seq' || node.body.type == 'alt' ||
+                  (node.body.type == 'repeat')) {
+               body = '(?:' + body + ')';
+            }
+            if (node.min == 0 && node.max == Infinity) {
+               suffix = '*';
+            } else if (node.min == 1 && node.max == Infinity) {
+               suffix = '+';
+            } else if (node.min == 0 && node.max == 1) {
+               suffix = '?';
+            } else {
+               suffix = '{' + node.min + (node.max == node.min ? '' :
+                  ',' + (node.max == Infinity ? '' : node.max)) + '}';
+            }
+            return body + suffix + (node.greedy ? '' : '?');
+         case 'anchor':
+            return node.kind;
+         case 'look':
+            return '(?' + (node.behind ? '<' : '') + (node.negate ? '!' : '=') + print(node.body) + ')';
+         case 'backref':
+            return '(?:' + (node.name != null ? '\\k<' + node.name + '>' : '\\' + node.number) + ')';
+         case 'property':
+            return '\\' + (node.negate ? 'P' : 'p') + '{' + node.name + '}';
+      }
+   };
+   return print(tree);
+};
+
+/**
+ * A deterministic automaton recognizing the union of several regular
+ * expressions, each given as a tree from Lexer.parseRegex. It is built as in
+ * the file comment: a Thompson NFA for every tree, joined at a common start
+ * state, then determinised by subset construction and minimised. Every state
+ * is labelled with the index of the first tree whose language it accepts, or
+ * -1. The input alphabet is split into the classes of characters that no
+ * pattern tells apart, so the transition table has one row per state and one
+ * column per class.
+ *
+ * Only trees accepted by Lexer.DFA.supports can be compiled.
+ *
+ * @param trees [Array] - the trees of the expressions, in priority order.
+ * @param maxStates [int, optional] - throw a Lexer.ValidationError instead of
+ *    building an automaton with more states than this. Defaults to 10000.
+ */
+Lexer.DFA = function (trees, maxStates) {
+   maxStates = maxStates || 10000;
+   var nfa = [];  // Each NFA state has a list of range edges and epsilon edges.
+
+   var addState = function () {
+      nfa.push({ edges: [], empty: [], label: -1 });
+      return nfa.length - 1;
+   };
+
+   // Add the states matching a node after the given state, returning the
+   // state reached at the end of the node.
+   var build = function (node, from) {
+      var to, i;
+      if (node.type == 'char') {
+         to = addState();
+         for (i = 0; i < node.ranges.length; ++i) {
+            nfa[from].edges.push({ low: node.ranges[i][0], high: node.ranges[i][1], to: to });
+         }
+      } else if (node.type == 'seq') {
+         to = from;
+         for (i = 0; i < node.items.length; ++i) {
+            to = build(node.items[i], to);
+         }
+      } else if (node.type == 'alt') {
+         to = addState();
+         for (i = 0; i < node.items.length; ++i) {
+            nfa[build(node.items[i], from)].empty.push(to);
+         }
+      } else if (node.type == 'group') {
+         to = build(node.body, from);
+      } else if (node.type == 'repeat') {
+         to = from;
+         for (i = 0; i < node.min; ++i) {
+            to = build(node.body, to);
+         }
+         if (node.max == Infinity) {
+            var loop = addState();
+            nfa[to].empty.push(loop);
+            nfa[build(node.body, loop)].empty.push(loop);
+            to = loop;
+         } else {
+            var skips = [];
+            for (; i < node.max; ++i) {
+               skips.push(to);
+               to = build(node.body, to);
+            }
+            for (i = 0; i < skips.length; ++i) {
+               nfa[skips[i]].empty.push(to);
+            }
+         }
+      }
+      return to;
+   };
+
+   var start = addState();
+   for (var i = 0; i < trees.length; ++i) {
+      var first = addState();
+      nfa[start].empty.push(first);
+      nfa[build(trees[i], first)].label = i;
+   }
+
+   // Split the alphabet at every range boundary.
+   var points = [0];
+   for (var i = 0; i < nfa.length; ++i) {
+      for (var j = 0; j < nfa[i].edges.length; ++j) {
+         points.push(nfa[i].edges[j].low, nfa[i].edges[j].high + 1);
+      }
+   }
+   points.sort(function (a, b) { return a - b; });
+   this.boundaries = [];
+   for (var i = 0; i < points.length; ++i) {
+      if (points[i] != this.boundaries[this.boundaries.length - 1] && points[i] <= 0xffff) {
+         this.boundaries.push(points[i]);
+      }
+   }
+   this.classes = this.boundaries.length;
+   this.ascii = [];
+   for (var c = 0; c < 128; ++c) {
+      this.ascii.push(this.classOf(c));
+   }
+
+   // Return the sorted NFA states reachable from a set by epsilon edges.
+   var closure = function (set) {
+      var result = set.slice(), seen = {};
+      for (var i = 0; i < result.length; ++i) {
+         seen[result[i]] = true;
+      }
+      for (var i = 0; i < result.length; ++i) {
+         var empty = nfa[result[i]].empty;
+         for (var j = 0; j < empty.length; ++j) {
+            if (!seen[empty[j]]) {
+               seen[empty[j]] = true;
+               result.push(empty[j]);
+            }
+         }
+      }
+      return result.sort(function (a, b) { return a - b; });
+   };
+
+   // Subset construction. The DFA states are numbered in order of discovery,
+   // so the start state is 0; -1 stands for the dead state.
+   var sets = [closure([start])], ids = {}, table = [], accept = [];
+   ids[sets[0].join()] = 0;
+   for (var s = 0; s < sets.length; ++s) {
+      var label = -1, moves = [];
+      for (var i = 0; i < sets[s].length; ++i) {
+         var state = nfa[sets[s][i]];
+         if (state.label >= 0 && (label < 0 || state.label < label)) {
+            label = state.label;
+         }
+         for (var j = 0; j < state.edges.length; ++j) {
+            var low = this.classOf(state.edges[j].low);
+            var high = this.classOf(Math.min(state.edges[j].high, 0xffff));
+            for (var k = low; k <= high; ++k) {
+               (moves[k] = moves[k] || []).push(state.edges[j].to);
+            }
+         }
+      }
+      accept.push(label);
+      for (var k = 0; k < this.classes; ++k) {
+         var target = -1;
+         if (moves[k]) {
+            var set = closure(moves[k]), key = set.join();
+            if (!ids.hasOwnProperty(key)) {
+               if (sets.length >= maxStates) {
+                  throw new Lexer.ValidationError(null,
+                     'the DFA has more than {1} states'.format(maxStates));
+               }
+               ids[key] = sets.length;
+               sets.push(set);
+            }
+            target = ids[key];
+         }
+         table.push(target);
+      }
+   }
+   this._minimize(table, accept);
+};
+
+// Merge equivalent states with Moore's algorithm: start from the partition
+// by accept label, and split blocks until the states of every block move to
+// the same blocks on every class. States that cannot reach an accepting state
+// are merged into the dead state first.
+Lexer.DFA.prototype._minimize = function (table, accept) {
+   var classes = this.classes, count = accept.length;
+   var live = accept.map(function (label) { return label >= 0; }), changed = true;
+   while (changed) {
+      changed = false;
+      for (var s = 0; s < count; ++s) {
+         for (var k = 0; k < classes && !live[s]; ++k) {
+            var t = table[s * classes + k];
+            if (t >= 0 && live[t]) {
+               live[s] = changed = true;
+            }
+         }
+      }
+   }
+   var block = accept.map(function (label, s) {
+      return live[s] ? label : -2;
+   });
+   var blocks = 0;
+   while (true) {
+      var signatures = {}, next = [], n = 0;
+      for (var s = 0; s < count; ++s) {
+         var signature = [block[s]];
+         for (var k = 0; k < classes; ++k) {
+            var t = table[s * classes + k];
+            signature.push((t >= 0 && live[t]) ? block[t] : -2);
+         }
+         signature = signature.join();
+         if (!signatures.hasOwnProperty(signature)) {
+            signatures[signature] = n++;
+         }
+         next.push(signatures[signature]);
+      }
+      block = next;
+      if (n == blocks) {
+         break;
+      }
+      blocks = n;
+   }
+   // Renumber the blocks so that the start state's block is 0, and drop the
+   // block of dead states.
+   var numbers = {}, states = 0;
+   for (var s = 0; s < count; ++s) {
+      if (live[s] && !numbers.hasOwnProperty(block[s])) {
+         numbers[block[s]] = states++;
+      }
+   }
+   this.table = [];
+   this.accept = [];
+   for (var s = 0; s < count; ++s) {
+      if (s == 0 || (live[s] && numbers[block[s]] == this.accept.length)) {
+         this.accept.push(accept[s]);
+         for (var k = 0; k < classes; ++k) {
+            var t = table[s * classes + k];
+            this.table.push((t >= 0 && live[t]) ? numbers[block[t]] : -1);
+         }
+      }
+   }
+   this.size = this.accept.length;
+};
+
+// Return the tables of the automaton, for JSON.stringify.
+Lexer.DFA.prototype.toJSON = function () {
+   return { boundaries: this.boundaries, ascii: this.ascii, classes: this.classes,
+      table: this.table, accept: this.accept, size: this.size };
+};
+
+// Rebuild an automaton from the output of toJSON.
+Lexer.DFA.restore = function (data) {
+   var dfa = Object.create(Lexer.DFA.prototype);
+   for (var key in data) {
+      dfa[key] = data[key];
+   }
+   return dfa;
+};
+
+// Return the class of a character code.
+Lexer.DFA.prototype.classOf = function (code) {
+   var low = 0, high = this.boundaries.length - 1;
+   while (low < high) {
+      var middle = (low + high + 1) >> 1;
+      if (this.boundaries[middle] <= code) {
+         low = middle;
+      } else {
+         high = middle - 1;
+      }
+   }
+   return low;
+};
+
+/**
+ * Find the longest non-empty string at the given index of text that belongs
+ * to one of the expressions, without backtracking. Returns the index of the
+ * expression (label) and the length of the match, or null.
+ *
+ * @param text [String] - the input.
+ * @param index [int] - the index at which the match must start.
+ */
+Lexer.DFA.prototype.match = function (text, index) {
+   var table = this.table, accept = this.accept, ascii = this.ascii;
+   var classes = this.classes, state = 0, result = null;
+   for (var i = index; i < text.length; ++i) {
+      var code = text.charCodeAt(i);
+      state = table[state * classes + (code < 128 ? ascii[code] : this.classOf(code))];
+      if (state < 0) {
+         break;
+      } else if (accept[state] >= 0) {
+         result = { label: accept[state], length: i + 1 - index };
+      }
+   }
+   return result;
+};
+
+/**
+ * Return the index of the character at which the automaton, run on text from
+ * the given index, can no longer reach an accepting state, or the length of
+ * text if it still can at the end. No expression needs to look past that
+ * index to match there.
+ *
+ * @param text [String] - the input.
+ * @param index [int] - the index at which the match would start.
+ */
+Lexer.DFA.prototype.reach = function (text, index) {
+   var table = this.table, ascii = this.ascii, classes = this.classes, state = 0;
+   for (var i = index; i < text.length; ++i) {
+      var code = text.charCodeAt(i);
+      state = table[state * classes + (code < 128 ? ascii[code] : this.classOf(code))];
+      if (state < 0) {
+         return i;
+      }
+   }
+   return text.length;
+};
+
+/**
+ * Test whether the expression of a tree from Lexer.parseRegex can be
+ * compiled into a Lexer.DFA. Anchors, lookarounds, backreferences, property
+ * escapes and lazy quantifiers cannot, nor can characters outside the Basic
+ * Multilingual Plane or counted repetitions above 100.
+ *
+ * @param tree [Object] - the tree of the expression.
+ */
+Lexer.DFA.supports = function (tree) {
+   if (tree.type == 'anchor' || tree.type == 'look' || tree.type == 'backref' ||
+         tree.type == 'property') {
+      return false;
+   } else if (tree.type == 'char') {
+      return !tree.properties && (tree.ranges.length == 0 ||
+         tree.ranges[tree.ranges.length - 1][1] <= 0xffff);
+   } else if (tree.type == 'repeat' && (!tree.greedy || tree.min > 100 ||
+         (tree.max != Infinity && tree.max > 100))) {
+      return false;
+   }
+   var children = tree.items || (tree.body ? [tree.body] : []);
+   for (var i = 0; i < children.length; ++i) {
+      if (!Lexer.DFA.supports(children[i])) {
+         return false;
+      }
+   }
+   return true;
+};
+
+/**
+ * Loosen a tree from Lexer.parseRegex into one that Lexer.DFA supports and
+ * whose expression matches at least the strings that the original one does:
+ * anchors always hold, quantifiers are greedy, and characters that a class
+ * cannot give as ranges stand for any one or two code units. A regex engine
+ * running the original expression never reads further into a string than
+ * the automaton of the loosened one. Returns null if the tree has a
+ * lookaround or a backreference, whose reads cannot be bounded this way.
+ *
+ * @param tree [Object] - the tree of the expression.
+ */
+Lexer.DFA.loosen = function (tree) {
+   var any = { type: 'repeat', min: 1, max: 2, greedy: true,
+      body: { type: 'char', ranges: [[0, 0xffff]] } };
+   if (tree.type == 'look' || tree.type == 'backref') {
+      return null;
+   } else if (tree.type == 'anchor') {
+      return { type: 'seq', items: [] };
+   } else if (tree.type == 'property') {
+      return any;
+   } else if (tree.type == 'char') {
+      return (tree.properties || (tree.ranges.length > 0 &&
+         tree.ranges[tree.ranges.length - 1][1] > 0xffff)) ? any : tree;
+   }
+   var result = {}, children = (tree.items || (tree.body ? [tree.body] : [])).slice();
+   for (var key in tree) {
+      result[key] = tree[key];
+   }
+   for (var i = 0; i < children.length; ++i) {
+      children[i] = Lexer.DFA.loosen(children[i]);
+      if (!children[i]) {
+         return null;
+      }
+   }
+   if (tree.items) {
+      result.items = children;
+   } else if (tree.body) {
+      result.body = children[0];
+   }
+   if (tree.type == 'repeat') {
+      result.greedy = true;
+      if (tree.min > 100 || (tree.max != Infinity && tree.max > 100)) {
+         result.min = 0;
+         result.max = Infinity;
+      }
+   }
+   return result;
+};
@@ -0,0 +1,448 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2013 Byron Hood.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to
+ * deal in the Software without restriction, including without limitation the
+ * rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+ * sell copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS
+ * IN THE SOFTWARE.
+ *
+-----
+ *
+ * A parser generator for the tokens of a Lexer. Load it after lexer.js.
+ *
+ * The grammar is turned into LALR(1) tables: the LR(0) automaton of the
+ * grammar, with the lookaheads of its items found by working out which are
+ * generated in each state and which are passed along from the state before.
+ * The tables drive a shift-reduce parser, so left recursion is fine, and any
+ * conflict in them is reported when the parser is built.
+ */
+
+/**
+ * A parser for the language of a grammar, reading the tokens of a lexer.
+ *
+ * The grammar is written in BNF, as a list of productions like:
+ *
+ *    expr ::= expr PLUS term | term
+ *    term ::= NUMBER
+ *           | LPAREN expr RPAREN
+ *
+ * A production runs until the next name followed by ::=, and an empty
+ * alternative matches nothing. Names that have productions are nonterminals;
+ * every other name must be the name of a token of the language, either the
+ * name of a rule or a token name from the keywords of one. Comments run from
+ * # to the end of the line.
+ *
+ * @param grammar [String] - the productions of the grammar.
+ * @param language [Array|String|Lexer] - the lexer for the input, or the
+ *    rules of its language, or the name of a language in Lexer.Languages.
+ * @param options [Object, optional] - settings for the parser:
+ *    start [String] - the nonterminal the input must match. Defaults to the
+ *       nonterminal of the first production.
+ */
+Lexer.Parser = function (grammar, language, options) {
+   options = options || {};
+   if (typeof(language) == 'string') {
+      if (!Lexer.Languages.hasOwnProperty(language)) {
+         throw new Lexer.ValidationError(null, 'unknown language "{1}"'.format(language));
+      }
+      language = Lexer.Languages[language];
+   }
+   this.lexer = (language instanceof Lexer) ? language : new Lexer(language, { inputFormat: 'text' });
+   // In the tables, END stands for the end of the input; grammars cannot name
+   // a symbol with a space in it.
+   var ACCEPT = ' accept', END = ' end', EOF = Lexer.TokenStream.EOF;
+
+   // Return the names of the tokens a lexer can produce.
+   var tokenNames = function (lexer, names) {
+      if (!lexer._modes) {
+         lexer.compile();
+      }
+      for (var i = 0; i < lexer._rules.length; ++i) {
+         var rule = lexer._rules[i];
+         names[rule.name] = true;
+         for (var word in rule.keywords) {
+            names[rule.keywords[word]] = true;
+         }
+         if (rule.embed && rule.embed.lexer instanceof Lexer) {
+            tokenNames(rule.embed.lexer, names);
+         }
+      }
+      return names;
+   };
+
+   // Read the productions of the grammar, as a list of {name, symbols} with
+   // the productions of each nonterminal kept together.
+   var readGrammar = function (text) {
+      if (typeof(text) != 'string') {
+         throw new Lexer.ValidationError(null, 'the grammar must be a string');
+      }
+      var lexer = Lexer.Parser.grammarLexer(), stream = new Lexer.TokenStream(lexer.lex(text));
+      if (lexer.errors.length) {
+         var error = lexer.errors[0];
+         throw new Lexer.ValidationError(null, 'invalid grammar at {1}:{2}: unexpected "{3}"'.format(
+            error.line, error.column, error.text));
+      }
+      var productions = [], order = [], byName = Object.create(null);
+      try {
+         while (stream.peek().name !== EOF) {
+            var name = stream.expect('NAME').content;
+            stream.expect('DEFINE');
+            if (!byName[name]) {
+               byName[name] = [];
+               order.push(name);
+            }
+            var symbols = [];
+            while (true) {
+               var token = stream.peek();
+               if (token.name == 'BAR' || token.name === EOF ||
+                     (token.name == 'NAME' && stream.peek(2).name == 'DEFINE')) {
+                  byName[name].push(symbols);
+                  symbols = [];
+                  if (!stream.match('BAR')) {
+                     break;
+                  }
+               } else {
+                  symbols.push(stream.expect('NAME').content);
+               }
+            }
+         }
+      } catch (e) {
+         if (!(e instanceof Lexer.ParseError)) {
+            throw e;
+         }
+         throw new Lexer.ValidationError(null, 'invalid grammar at {1}:{2}: {3}'.format(e.line, e.column, e.message));
+      }
+      if (order.length == 0) {
+         throw new Lexer.ValidationError(null, 'the grammar has no productions');
+      }
+      for (var i = 0; i < order.length; ++i) {
+         for (var j = 0; j < byName[order[i]].length; ++j) {
+            productions.push({ name: order[i], symbols: byName[order[i]][j] });
+         }
+      }
+      return productions;
+   };
+
+   var productions = readGrammar(grammar);
+   var start = options.start || productions[0].name;
+   var tokens = tokenNames(this.lexer, Object.create(null));
+   var nonterminals = Object.create(null);
+   for (var i = 0; i < productions.length; ++i) {
+      nonterminals[productions[i].name] = [];
+   }
+   for (var name in nonterminals) {
+      if (tokens[name]) {
+         throw new Lexer.ValidationError(name, 'is the name of a token and of a nonterminal');
+      }
+   }
+   if (!nonterminals[start]) {
+      throw new Lexer.ValidationError(start, 'unknown start symbol');
+   }
+   productions.unshift({ name: ACCEPT, symbols: [start] });
+   nonterminals[ACCEPT] = [];
+   for (var i = 0; i < productions.length; ++i) {
+      var p = productions[i];
+      for (var j = 0; j < p.symbols.length; ++j) {
+         if (!nonterminals[p.symbols[j]] && !tokens[p.symbols[j]]) {
+            throw new Lexer.ValidationError(p.name, 'unknown symbol "{1}"'.format(p.symbols[j]));
+         }
+      }
+      nonterminals[p.name].push(i);
+   }
+
+   // Work out which nonterminals can match nothing, and the tokens that can
+   // start each nonterminal.
+   var nullable = Object.create(null), first = Object.create(null);
+   for (var name in nonterminals) {
+      first[name] = Object.create(null);
+   }
+   for (var changed = true; changed; ) {
+      changed = false;
+      for (var i = 0; i < productions.length; ++i) {
+         var p = productions[i], j = 0;
+         for (; j < p.symbols.length; ++j) {
+            var symbol = p.symbols[j];
+            if (!nonterminals[symbol]) {
+               changed = !first[p.name][symbol] || changed;
+               first[p.name][symbol] = true;
+               break;
+            }
+            for (var token in first[symbol]) {
+               changed = !first[p.name][token] || changed;
+               first[p.name][token] = true;
+            }
+            if (!nullable[symbol]) {
+               break;
+            }
+         }
+         if (j == p.symbols.length && !nullable[p.name]) {
+            nullable[p.name] = changed = true;
+         }
+      }
+   }
+
+   // Add the tokens that can start the given symbols to a set. Returns true
+   // if the symbols can match nothing.
+   var addFirst = function (symbols, set) {
+      for (var i = 0; i < symbols.length; ++i) {
+         if (!nonterminals[symbols[i]]) {
+            set[symbols[i]] = true;
+            return false;
+         }
+         for (var token in first[symbols[i]]) {
+            set[token] = true;
+         }
+         if (!nullable[symbols[i]]) {
+            return false;
+         }
+      }
+      return true;
+   };
+
+   // Items are a production and the position of the dot in it, kept as a
+   // string. Return the closure of a set of kernel items, mapping each item
+   // to its lookaheads.
+   var closure = function (kernel) {
+      var items = Object.create(null), work = [];
+      for (var key in kernel) {
+         items[key] = {};
+         for (var token in kernel[key]) {
+            items[key][token] = true;
+         }
+         work.push(key);
+      }
+      while (work.length) {
+         var key = work.pop(), parts = key.split('.');
+         var p = productions[+parts[0]], dot = +parts[1];
+         var symbol = p.symbols[dot];
+         if (!nonterminals[symbol]) {
+            continue;
+         }
+         var lookaheads = {};
+         if (addFirst(p.symbols.slice(dot + 1), lookaheads)) {
+            for (var token in items[key]) {
+               lookaheads[token] = true;
+            }
+         }
+         for (var i = 0; i < nonterminals[symbol].length; ++i) {
+            var next = nonterminals[symbol][i] + '.0', added = !items[next];
+            items[next] = items[next] || {};
+            for (var token in lookaheads) {
+               added = !items[next][token] || added;
+               items[next][token] = true;
+            }
+            if (added) {
+               work.push(next);
+            }
+         }
+      }
+      return items;
+   };
+
+   // Build the LR(0) automaton. Each state has its kernel items and the
+   // state reached on each symbol.
+   var states = [], index = Object.create(null);
+   var addState = function (kernel) {
+      var key = Object.keys(kernel).sort().join();
+      if (!(key in index)) {
+         index[key] = states.length;
+         states.push({ kernel: kernel, next: Object.create(null) });
+      }
+      return index[key];
+   };
+   var kernel = {};
+   kernel['0.0'] = {};
+   addState(kernel);
+   for (var s = 0; s < states.length; ++s) {
+      var items = closure(states[s].kernel), moves = Object.create(null);
+      for (var key in items) {
+         var parts = key.split('.'), symbol = productions[+parts[0]].symbols[+parts[1]];
+         if (symbol !== undefined) {
+            moves[symbol] = moves[symbol] || {};
+            moves[symbol][parts[0] + '.' + (+parts[1] + 1)] = {};
+         }
+      }
+      for (var symbol in moves) {
+         states[s].next[symbol] = addState(moves[symbol]);
+      }
+   }
+
+   // Find the lookaheads of the kernel items. Closing over an item with a
+   // placeholder lookahead shows which lookaheads the items it leads to get
+   // of their own, and which they take from the item.
+   var PASS = ' pass', passes = [];
+   states[0].kernel['0.0'][END] = true;
+   for (var s = 0; s < states.length; ++s) {
+      for (var key in states[s].kernel) {
+         var single = {};
+         single[key] = {};
+         single[key][PASS] = true;
+         var items = closure(single);
+         for (var item in items) {
+            var parts = item.split('.'), symbol = productions[+parts[0]].symbols[+parts[1]];
+            if (symbol === undefined) {
+               continue;
+            }
+            var target = states[states[s].next[symbol]].kernel[parts[0] + '.' + (+parts[1] + 1)];
+            for (var token in items[item]) {
+               if (token == PASS) {
+                  passes.push([states[s].kernel[key], target]);
+               } else {
+                  target[token] = true;
+               }
+            }
+         }
+      }
+   }
+   for (var changed = true; changed; ) {
+      changed = false;
+      for (var i = 0; i < passes.length; ++i) {
+         for (var token in passes[i][0]) {
+            changed = !passes[i][1][token] || changed;
+            passes[i][1][token] = true;
+         }
+      }
+   }
+
+   // Show a token name, or the end of the input.
+   var showToken = function (name) {
+      return (name == END) ? 'end of input' : name;
+   };
+
+   // Show a production the way it was written.
+   var describe = function (p) {
+      return '"{1} ::={2}"'.format(p.name, p.symbols.map(function (s) { return ' ' + s; }).join(''));
+   };
+
+   // Fill in the actions of each state: shift to a state, or reduce by a
+   // production. Reducing by the first production accepts the input.
+   this._productions = productions;
+   this._actions = [];
+   this._gotos = [];
+   for (var s = 0; s < states.length; ++s) {
+      var actions = Object.create(null), gotos = Object.create(null);
+      for (var symbol in states[s].next) {
+         if (nonterminals[symbol]) {
+            gotos[symbol] = states[s].next[symbol];
+         } else {
+            actions[symbol] = { shift: states[s].next[symbol] };
+         }
+      }
+      var items = closure(states[s].kernel);
+      for (var key in items) {
+         var parts = key.split('.'), p = productions[+parts[0]];
+         if (+parts[1] < p.symbols.length) {
+            continue;
+         }
+         for (var token in items[key]) {
+            var other = actions[token];
+            if (other && other.shift !== undefined) {
+               throw new Lexer.ValidationError(p.name,
+                  'conflict on {1}: cannot choose between reducing {2} and shifting'.format(
+                  showToken(token), describe(p)));
+            } else if (other) {
+               throw new Lexer.ValidationError(p.name,
+                  'conflict on {1}: cannot choose between reducing {2} and {3}'.format(showToken(token),
+                  describe(productions[Math.min(other.reduce, +parts[0])]),
+                  describe(productions[Math.max(other.reduce, +parts[0])])));
+            }
+            actions[token] = { reduce: +parts[0] };
+         }
+      }
+      this._actions.push(actions);
+      this._gotos.push(gotos);
+   }
+
+   // List the tokens that a state has actions for.
+   var expected = function (actions) {
+      var names = Object.keys(actions).map(showToken).sort();
+      var last = names.pop();
+      return names.length ? names.join(', ') + ' or ' + last : last;
+   };
+
+   // Parse the input, returning the tree of the start symbol. The input may
+   // be text for the lexer, the tokens it returned or a Lexer.TokenStream.
+   // Throws the first Lexer.LexError of text the lexer could not read, and
+   // a Lexer.ParseError at the first token that cannot be parsed.
+   this.parse = function (input) {
+      if (typeof(input) == 'string') {
+         input = this.lexer.lex(input);
+         if (this.lexer.errors.length) {
+            throw this.lexer.errors[0];
+         }
+      }
+      var stream = (input instanceof Lexer.TokenStream) ? input : new Lexer.TokenStream(input);
+      var stack = [0], values = [];
+      while (true) {
+         var token = stream.peek(), state = stack[stack.length - 1];
+         var action = this._actions[state][token.name === EOF ? END : token.name];
+         if (!action) {
+            throw new Lexer.ParseError(token, 'expected {1} but found {2}'.format(
+               expected(this._actions[state]), token.name === EOF ? 'end of input' :
+               '{1} "{2}"'.format(token.name, token.content)));
+         } else if (action.shift !== undefined) {
+            stack.push(action.shift);
+            values.push(stream.next());
+            continue;
+         } else if (action.reduce == 0) {
+            return values[0];
+         }
+         var p = this._productions[action.reduce], n = p.symbols.length;
+         var children = values.splice(values.length - n, n);
+         stack.length -= n;
+         values.push(new Lexer.Parser.Node(p.name, children, token.start));
+         stack.push(this._gotos[stack[stack.length - 1]][p.name]);
+      }
+   };
+};
+
+// Return the lexer for the text of grammars, building it the first time.
+Lexer.Parser.grammarLexer = function () {
+   if (!Lexer.Parser._grammarLexer) {
+      Lexer.Parser._grammarLexer = new Lexer([
+         { name: 'NAME', pattern: /\w+/ },
+         { name: 'DEFINE', pattern: '::=' },
+         { name: 'BAR', pattern: '|' },
+         { name: 'SPACE', pattern: /\s+/, discard: true },
+         { name: 'COMMENT', pattern: /#.*/, discard: true }
+      ], { inputFormat: 'text' });
+   }
+   return Lexer.Parser._grammarLexer;
+};
+
+/**
+ * A node of a parse tree: a nonterminal and the tokens and nodes it was
+ * parsed from, covering the input from start to end like a Lexer.Token.
+ *
+ * @param name [String] - the name of the nonterminal.
+ * @param children [Array] - the Lexer.Token and Lexer.Parser.Node objects
+ *    matched by the production, in order.
+ * @param at [Object] - the position of a node that matched nothing, which is
+ *    where the next token starts.
+ */
+Lexer.Parser.Node = function (name, children, at) {
+   this.name = name;
+   this.children = children;
+   this.start = children.length ? children[0].start : at;
+   this.end = children.length ? children[children.length - 1].end : at;
+   this.position = { line: this.start.line, column: this.start.column };
+
+   this.toString = function () {
+      return this.name;
+   }
+}